@@ -6,10 +6,20 @@
  * where negative values represent "red" opinions and positive values represent "blue" opinions.
  */
 
+// Load dependencies in Node; in the browser they are globals created by earlier scripts
+var updateRulesModule = typeof module !== 'undefined' && module.exports ? require('./update-rules.js') : globalThis.updateRulesModule;
+var traitsModule = typeof module !== 'undefined' && module.exports ? require('./traits.js') : globalThis.traitsModule;
+
 // Constants for opinions
 const RED = 'red';
 const BLUE = 'blue';
 
+// Interactions each agent keeps in its history by default; older ones are dropped
+const DEFAULT_INTERACTION_HISTORY_LIMIT = 500;
+
+// Rule used when the caller does not supply one
+const defaultUpdateRule = updateRulesModule.createUpdateRule();
+
 /**
  * Agent class representing a participant in the Opinion Dynamics simulation
  */
@@ -21,18 +31,32 @@ class Agent {
      * @param {number} id - Unique identifier for this agent
      * @param {number[]} neighbors - Array of neighbor agent IDs
      * @param {number} zealotInfluenceProbability - Probability of adopting a zealot's opinion upon interaction
+     * @param {Object} influenceParams - Constants of the default (susceptibility) update rule
+     * @param {number} influenceParams.baseInfluenceRate - Maximum belief change per interaction (default 0.1)
+     * @param {number} influenceParams.persuasivenessWeight - Weight w in the persuasiveness factor (1 - w × |other belief|) (default 1.0)
+     * @param {Object} traits - Per-agent traits, keyed like traitsModule.TRAITS; missing traits take their defaults
      */
-    constructor(beliefValue, isZealot, id, neighbors = [], zealotInfluenceProbability = 1.0) {
+    constructor(beliefValue, isZealot, id, neighbors = [], zealotInfluenceProbability = 1.0, influenceParams = {}, traits = {}) {
         this.beliefValue = beliefValue;
         this.isZealot = isZealot;
         this.id = id;
         this.neighbors = neighbors; // Array of neighbor agent IDs
         this.zealotInfluenceProbability = zealotInfluenceProbability; // Probability of adopting a zealot's opinion
+        this.baseInfluenceRate = influenceParams.baseInfluenceRate ?? 0.1;
+        this.persuasivenessWeight = influenceParams.persuasivenessWeight ?? 1.0;
 
-        // Track interactions for visualization and statistics
+        // Belief the agent started from, which stubbornness pulls it back toward
+        this.initialBelief = beliefValue;
+        this.setTraits(traits);
+
+        // Track the latest interactions for visualization and statistics
         this.interactionHistory = [];
+        this.interactionHistoryLimit = DEFAULT_INTERACTION_HISTORY_LIMIT;
         this.currentPairingId = null;
         this.isInPairing = false;
+
+        // Opinions heard from recent partners, used by the naming-game update rule
+        this.nameMemory = [];
     }
 
     /**
@@ -43,6 +67,111 @@ class Agent {
         return this.beliefValue < 0 ? RED : BLUE;
     }
 
+    /**
+     * Set the agent's traits; zealots always have full commitment
+     * @param {Object} traits - Trait values keyed like traitsModule.TRAITS; missing traits take their defaults
+     */
+    setTraits(traits) {
+        Object.keys(traitsModule.TRAITS).forEach(traitName => {
+            this[traitName] = traits[traitName] ?? traitsModule.TRAITS[traitName].defaultValue;
+        });
+        if (this.isZealot) {
+            this.commitment = 1;
+        }
+    }
+
+    /**
+     * Make the agent a zealot or an ordinary agent; a former zealot's commitment returns to the default
+     * @param {boolean} isZealot - New zealot status
+     */
+    setZealot(isZealot) {
+        if (isZealot) {
+            this.commitment = 1;
+        } else if (this.isZealot) {
+            this.commitment = traitsModule.TRAITS.commitment.defaultValue;
+        }
+        this.isZealot = isZealot;
+    }
+
+    /**
+     * Get the agent's traits
+     * @returns {Object} Trait values keyed like traitsModule.TRAITS
+     */
+    getTraits() {
+        const traits = {};
+        Object.keys(traitsModule.TRAITS).forEach(traitName => {
+            traits[traitName] = this[traitName];
+        });
+        return traits;
+    }
+
+    /**
+     * Summarize the latest recorded interactions: the belief before each of them followed by the
+     * current belief, the opinion flips along that trajectory, and every partner with the
+     * belief it had at their latest interaction
+     * @returns {Object} { trajectory, flipsToRed, flipsToBlue, partners } where partners are
+     *   { agentId, count, lastBelief }, most frequent first
+     */
+    summarizeInteractions() {
+        const interactions = this.getRecentInteractions();
+        const trajectory = interactions.map(entry => entry.myBeliefBefore);
+        trajectory.push(this.beliefValue);
+
+        let flipsToRed = 0;
+        let flipsToBlue = 0;
+        for (let i = 1; i < trajectory.length; i++) {
+            const wasRed = trajectory[i - 1] < 0;
+            const isRed = trajectory[i] < 0;
+            if (wasRed && !isRed) {
+                flipsToBlue++;
+            } else if (!wasRed && isRed) {
+                flipsToRed++;
+            }
+        }
+
+        const partners = new Map();
+        interactions.forEach(entry => {
+            const partner = partners.get(entry.agentId) || { agentId: entry.agentId, count: 0, lastBelief: 0 };
+            partner.count++;
+            partner.lastBelief = entry.otherBelief;
+            partners.set(entry.agentId, partner);
+        });
+
+        return {
+            trajectory,
+            flipsToRed,
+            flipsToBlue,
+            partners: Array.from(partners.values()).sort((a, b) => b.count - a.count)
+        };
+    }
+
+    /**
+     * Record an interaction, keeping at most interactionHistoryLimit of the latest ones
+     * Older entries are dropped in batches once the history holds twice the limit, so recording stays O(1) on average.
+     * @param {Agent} otherAgent - The agent this agent is interacting with
+     */
+    recordInteraction(otherAgent) {
+        if (this.interactionHistoryLimit <= 0) return;
+        this.interactionHistory.push({
+            agentId: otherAgent.id,
+            otherBelief: otherAgent.beliefValue,
+            myBeliefBefore: this.beliefValue,
+            time: Date.now()
+        });
+        if (this.interactionHistory.length >= 2 * this.interactionHistoryLimit) {
+            this.interactionHistory.splice(0, this.interactionHistory.length - this.interactionHistoryLimit);
+        }
+    }
+
+    /**
+     * Get the latest interactions, at most interactionHistoryLimit of them
+     * @returns {Object[]} History entries, oldest first
+     */
+    getRecentInteractions() {
+        const excess = this.interactionHistory.length - this.interactionHistoryLimit;
+        return excess > 0 ? this.interactionHistory.slice(excess) : this.interactionHistory;
+    }
+
     /**
      * Calculate the susceptibility of the agent to opinion change
      * based on the proportion of neighbors holding the opposing opinion
@@ -64,42 +193,51 @@ class Agent {
 
     /**
      * Update the agent's belief based on interaction with another agent
-     * Zealots never change their belief
+     * Zealots never change their belief. Other agents ignore the interaction with probability
+     * equal to their commitment; otherwise the rule's step is scaled by their susceptibility
+     * multiplier and the partner's persuasiveness, and the result is pulled toward their
+     * initial belief by their stubbornness.
      *
      * @param {Agent} otherAgent - The agent this agent is interacting with
      * @param {Map<number, Agent>} agentMap - Map of all agents by their IDs
+     * @param {function(): number} random - Uniform random number source in [0, 1)
+     * @param {Object} updateRule - Rule from updateRulesModule.createUpdateRule (default: susceptibility rule)
      * @returns {boolean} Whether the opinion (sign of belief) changed
      */
-    updateBelief(otherAgent, agentMap) {
-        // Record the interaction
-        this.interactionHistory.push({
-            agentId: otherAgent.id,
-            otherBelief: otherAgent.beliefValue,
-            myBeliefBefore: this.beliefValue,
-            time: Date.now()
-        });
+    updateBelief(otherAgent, agentMap, random = Math.random, updateRule = defaultUpdateRule) {
+        this.recordInteraction(otherAgent);
 
         // Zealots never change their belief
         if (this.isZealot) {
             return false;
         }
 
+        // Partially committed agents hold their belief in a share of their interactions
+        if (this.commitment > 0 && random() < this.commitment) {
+            return false;
+        }
+
         // Store original opinion for change detection
         const originalOpinion = this.opinion;
 
-        // Interaction with a zealot
-        if (otherAgent.isZealot) {
-            if (Math.random() < this.zealotInfluenceProbability) {
-                this.beliefValue = otherAgent.beliefValue;
-            }
-        } else {
-            // Interaction with a non-zealot
-            const susceptibility = this.calculateSusceptibility(agentMap);
-            const influenceStrength = 0.1 * susceptibility * (1 - Math.abs(otherAgent.beliefValue));
-            const direction = Math.sign(otherAgent.beliefValue - this.beliefValue);
-            this.beliefValue += direction * influenceStrength;
-            this.beliefValue = Math.max(-1, Math.min(1, this.beliefValue));
+        // Apply the belief-update rule
+        let newBelief = updateRule.update(this, otherAgent, {
+            agentMap,
+            random,
+            params: updateRule.params
+        });
+
+        // Traits at their defaults leave the rule's result untouched
+        const stepScale = this.susceptibilityMultiplier * otherAgent.persuasiveness;
+        if (stepScale !== 1) {
+            newBelief = this.beliefValue + stepScale * (newBelief - this.beliefValue);
         }
+        if (this.stubbornness > 0) {
+            newBelief = (1 - this.stubbornness) * newBelief + this.stubbornness * this.initialBelief;
+        }
+
+        // Keep the result in range
+        this.beliefValue = Math.max(-1, Math.min(1, newBelief));
 
         // Check if opinion changed (sign flipped)
         return this.opinion !== originalOpinion;
@@ -113,17 +251,29 @@ class Agent {
      */
     reset(beliefValue, isZealot, neighbors = []) {
         this.beliefValue = beliefValue;
-        this.isZealot = isZealot;
+        this.initialBelief = beliefValue;
+        this.setZealot(isZealot);
         this.neighbors = neighbors;
         this.interactionHistory = [];
         this.currentPairingId = null;
         this.isInPairing = false;
+        this.nameMemory = [];
     }
 }
 
-// Create a global agentModule object
-window.agentModule = {
-    Agent,
-    RED,
-    BLUE
-};
+// Export for Node (CommonJS) or create a global agentModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Agent,
+        RED,
+        BLUE,
+        DEFAULT_INTERACTION_HISTORY_LIMIT
+    };
+} else {
+    globalThis.agentModule = {
+        Agent,
+        RED,
+        BLUE,
+        DEFAULT_INTERACTION_HISTORY_LIMIT
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * csv-export.js
+ *
+ * This module turns simulation results into CSV tables for spreadsheets: the opinion
+ * time series recorded in the history, and a per-agent table of the current (final)
+ * state. It only builds the text; saving it as a file is left to the caller.
+ */
+
+// Columns of the opinion time series, one row per history entry
+const TIME_SERIES_COLUMNS = [
+    { header: 'interactionCount', value: (entry) => entry.interactionCount },
+    { header: 'timeStep', value: (entry) => entry.timeStep },
+    { header: 'redCount', value: (entry) => entry.redCount },
+    { header: 'blueCount', value: (entry) => entry.blueCount },
+    { header: 'redProportion', value: (entry) => entry.redProportion },
+    { header: 'blueProportion', value: (entry) => entry.blueProportion },
+    { header: 'meanBelief', value: (entry) => entry.meanBelief },
+    { header: 'beliefVariance', value: (entry) => entry.beliefVariance },
+    { header: 'bimodality', value: (entry) => entry.bimodality },
+    { header: 'flips', value: (entry) => entry.flips },
+    { header: 'crossEdgeFraction', value: (entry) => entry.crossEdgeFraction },
+    { header: 'clusterCount', value: (entry) => entry.clusterCount },
+    { header: 'redZealotCount', value: (entry) => entry.redZealotCount },
+    { header: 'blueZealotCount', value: (entry) => entry.blueZealotCount }
+];
+
+// Columns of the agent table, one row per agent
+const AGENT_COLUMNS = [
+    { header: 'id', value: (agent) => agent.id },
+    { header: 'beliefValue', value: (agent) => agent.beliefValue },
+    { header: 'opinion', value: (agent) => agent.opinion },
+    { header: 'isZealot', value: (agent) => agent.isZealot },
+    { header: 'degree', value: (agent) => agent.neighbors.length }
+];
+
+/**
+ * Format one CSV field, quoting it when it contains a comma, quote or line break
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+function formatCSVField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV table
+ * @param {Object[]} columns - Column definitions: { header, value(row, ...context) }
+ * @param {Array} rows - One item per table row
+ * @param {...*} context - Extra arguments passed to every value function
+ * @returns {string} CSV text with a header line
+ */
+function toCSV(columns, rows, ...context) {
+    const lines = [columns.map(column => formatCSVField(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCSVField(column.value(row, ...context))).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build the opinion time series table from simulation statistics
+ * @param {Object} statistics - Result of getStatistics()
+ * @returns {string} CSV text
+ */
+function createTimeSeriesCSV(statistics) {
+    return toCSV(TIME_SERIES_COLUMNS, statistics.opinionHistory);
+}
+
+/**
+ * Build the per-agent state table; degree is the number of listed neighbors
+ * (the agents followed, in a directed network)
+ * @param {Agent[]} agents - Simulation agents
+ * @returns {string} CSV text
+ */
+function createAgentStateCSV(agents) {
+    return toCSV(AGENT_COLUMNS, agents);
+}
+
+// Export for Node (CommonJS) or create a global csvExportModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toCSV,
+        createTimeSeriesCSV,
+        createAgentStateCSV
+    };
+} else {
+    globalThis.csvExportModule = {
+        toCSV,
+        createTimeSeriesCSV,
+        createAgentStateCSV
+    };
+}
@@ -0,0 +1,195 @@
+/**
+ * history.js
+ *
+ * This module provides the opinion history store of the simulation. It keeps every
+ * recorded state at full resolution until a budget of entries is reached. After that
+ * the most recent half of the budget stays at full resolution, and older entries are
+ * downsampled into buckets that keep their lowest and highest red proportion, so spikes
+ * and dips stay visible. The kept entries take over the flips of the dropped ones and the
+ * latest network metrics of their bucket. When the older part fills its half of the budget,
+ * neighboring buckets are merged, so the history always covers the whole run at a uniform
+ * resolution.
+ */
+
+// Entries downsampled at a time, and the number of entries merged when the older part is halved
+const HISTORY_BUCKET_SIZE = 4;
+
+// Fields recorded only at some entries; a merged bucket keeps their latest values
+const SPARSE_HISTORY_FIELDS = ['crossEdgeFraction', 'clusterCount'];
+
+/**
+ * OpinionHistory class storing history entries in time order
+ */
+class OpinionHistory {
+    /**
+     * Create an empty history
+     * @param {Object} options - History options
+     * @param {number} options.budget - Approximate largest number of entries kept (default 2000, at least 16)
+     */
+    constructor(options = {}) {
+        this.budget = Math.max(16, options.budget || 2000);
+        this.recentBudget = Math.floor(this.budget / 2); // Most recent entries kept at full resolution
+        this.entries = [];
+        this.olderLength = 1; // Entries before the full-resolution part, including the first entry
+        this.bucketSize = HISTORY_BUCKET_SIZE; // Recorded entries per bucket in the older part
+        this.openBucketStart = 0; // Index of the bucket still being filled
+        this.openBucketCount = 0; // Recorded entries in that bucket
+        this.appended = null; // Entries pushed since the last takeAppended(), while tracked
+    }
+
+    /**
+     * Get the downsampling layout, which snapshots store next to the entries
+     * @returns {Object} Boundaries and bucket sizes of the older part
+     */
+    getLayout() {
+        return {
+            olderLength: this.olderLength,
+            bucketSize: this.bucketSize,
+            openBucketStart: this.openBucketStart,
+            openBucketCount: this.openBucketCount
+        };
+    }
+
+    /**
+     * Start collecting pushed entries for takeAppended()
+     * Downsampling depends only on the pushed entries, so a copy of the history with the same
+     * budget stays identical by pushing the same entries.
+     */
+    trackAppended() {
+        this.appended = [];
+    }
+
+    /**
+     * Get the entries pushed since the previous call, or since trackAppended()
+     * @returns {Object[]} Pushed entries in order
+     */
+    takeAppended() {
+        const appended = this.appended || [];
+        this.appended = [];
+        return appended;
+    }
+
+    /**
+     * Replace the contents with saved entries
+     * @param {Object[]} entries - Saved history entries
+     * @param {Object} layout - Result of getLayout() for the entries; without it the entries are pushed one by one (optional)
+     */
+    load(entries, layout = null) {
+        this.entries = [];
+        this.olderLength = 1;
+        this.bucketSize = HISTORY_BUCKET_SIZE;
+        this.openBucketStart = 0;
+        this.openBucketCount = 0;
+
+        if (layout) {
+            this.entries = entries.slice();
+            Object.assign(this, layout);
+        } else {
+            entries.forEach(entry => this.push(entry));
+        }
+    }
+
+    /**
+     * Append an entry, downsampling the oldest full-resolution entries once they fall out of the recent part
+     * @param {Object} entry - History entry with at least redProportion
+     */
+    push(entry) {
+        this.entries.push(entry);
+        if (this.appended) {
+            this.appended.push(entry);
+        }
+        if (this.entries.length - this.olderLength >= this.recentBudget + HISTORY_BUCKET_SIZE) {
+            this.downsampleOldest();
+        }
+    }
+
+    /**
+     * Move the oldest full-resolution entries into the open bucket of the older part
+     */
+    downsampleOldest() {
+        const moveEnd = this.olderLength + HISTORY_BUCKET_SIZE;
+        if (this.openBucketCount === 0 || this.openBucketCount >= this.bucketSize) {
+            this.openBucketStart = this.olderLength;
+            this.openBucketCount = 0;
+        }
+        this.openBucketCount += HISTORY_BUCKET_SIZE;
+
+        // The extremes of the open bucket's current extremes and the moved entries are the extremes of the whole bucket
+        const extremes = mergeBucket(this.entries.slice(this.openBucketStart, moveEnd));
+        this.entries.splice(this.openBucketStart, moveEnd - this.openBucketStart, ...extremes);
+        this.olderLength = this.openBucketStart + extremes.length;
+
+        if (this.olderLength > this.budget - this.recentBudget) {
+            this.coarsen();
+        }
+    }
+
+    /**
+     * Halve the older part by merging neighboring buckets, so all of it keeps the same resolution
+     */
+    coarsen() {
+        const older = [this.entries[0]];
+        for (let i = 1; i < this.olderLength; i += HISTORY_BUCKET_SIZE) {
+            older.push(...mergeBucket(this.entries.slice(i, Math.min(i + HISTORY_BUCKET_SIZE, this.olderLength))));
+        }
+
+        this.entries.splice(0, this.olderLength, ...older);
+        this.olderLength = older.length;
+        this.bucketSize *= 2;
+        this.openBucketCount = 0;
+    }
+}
+
+/**
+ * Merge a bucket into its entries with the lowest and highest red proportion, in time order
+ * Flips are summed into the kept entries: the first takes those up to and including itself,
+ * the last the rest, so the bucket's total is unchanged. The last kept entry also carries the
+ * bucket's latest values of the sparse fields.
+ * @param {Object[]} bucket - Consecutive history entries
+ * @returns {Object[]} Copies of one or two entries of the bucket
+ */
+function mergeBucket(bucket) {
+    let minIndex = 0;
+    let maxIndex = 0;
+    bucket.forEach((entry, index) => {
+        if (entry.redProportion < bucket[minIndex].redProportion) minIndex = index;
+        if (entry.redProportion > bucket[maxIndex].redProportion) maxIndex = index;
+    });
+
+    const keptIndexes = minIndex === maxIndex
+        ? [minIndex]
+        : [Math.min(minIndex, maxIndex), Math.max(minIndex, maxIndex)];
+    const kept = keptIndexes.map(index => ({ ...bucket[index] }));
+
+    // Flips since the previous entry: entries up to the first kept one go to it, the rest to the last
+    if (bucket.some(entry => entry.flips !== undefined)) {
+        kept.forEach(entry => {
+            entry.flips = 0;
+        });
+        bucket.forEach((entry, index) => {
+            kept[index <= keptIndexes[0] ? 0 : kept.length - 1].flips += entry.flips || 0;
+        });
+    }
+
+    const last = kept[kept.length - 1];
+    SPARSE_HISTORY_FIELDS.forEach(field => {
+        for (let index = bucket.length - 1; index >= 0; index--) {
+            if (bucket[index][field] !== undefined) {
+                last[field] = bucket[index][field];
+                break;
+            }
+        }
+    });
+    return kept;
+}
+
+// Export for Node (CommonJS) or create a global historyModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OpinionHistory
+    };
+} else {
+    globalThis.historyModule = {
+        OpinionHistory
+    };
+}
@@ -0,0 +1,218 @@
+/**
+ * initial-beliefs.js
+ *
+ * This module draws the initial beliefs of the Opinion Dynamics simulation. Each opinion
+ * group draws its beliefs from its own distribution, clipped to its side of the belief
+ * range (red -1 to just below 0, blue 0 to +1). The most extreme members of each group are marked
+ * as its zealots; a placement strategy (zealot-placement.js) may move them once the network
+ * exists, after which applyZealotBeliefs() sets any configured zealot belief.
+ */
+
+// Largest red belief: a belief of exactly 0 counts as blue
+const RED_BELIEF_MAX = -0.001;
+
+// Opinion groups: sign of their beliefs and the range their beliefs are clipped to
+const BELIEF_GROUPS = {
+    red: { sign: -1, min: -1, max: RED_BELIEF_MAX },
+    blue: { sign: 1, min: 0, max: 1 }
+};
+
+// Registry of initial belief distributions; defaults depend on the sign of the group
+const INITIAL_BELIEF_DISTRIBUTIONS = {
+    'normal': {
+        name: 'Normal',
+        defaults: sign => ({ mean: 0.5 * sign, stdDev: 0.2 }),
+        sample: (rng, params) => rng.normal(params.mean, params.stdDev)
+    },
+    'uniform': {
+        name: 'Uniform',
+        defaults: sign => (sign < 0 ? { min: -1, max: 0 } : { min: 0, max: 1 }),
+        sample: (rng, params) => params.min + rng.next() * (params.max - params.min)
+    },
+    'beta': {
+        name: 'Beta (of belief strength)',
+        defaults: () => ({ alpha: 2, beta: 2 }),
+        sample: (rng, params, sign) => sign * rng.beta(params.alpha, params.beta)
+    },
+    'fixed': {
+        name: 'Fixed value',
+        defaults: sign => ({ value: 0.5 * sign }),
+        sample: (rng, params) => params.value
+    },
+    'bimodal': {
+        name: 'Bimodal (two normal peaks)',
+        defaults: sign => ({ mean1: 0.2 * sign, mean2: 0.8 * sign, stdDev: 0.1, weight: 0.5 }),
+        sample: (rng, params) => rng.normal(rng.next() < params.weight ? params.mean2 : params.mean1, params.stdDev)
+    },
+    'list': {
+        name: 'List of values',
+        defaults: () => ({ values: [] }),
+        sample: (rng, params, sign, index) => params.values[index % params.values.length]
+    }
+};
+
+const DEFAULT_BELIEF_DISTRIBUTION = 'normal';
+
+/**
+ * Resolve a group's belief distribution and merge its default parameters with overrides
+ * Invalid parameters are reported and replaced by their defaults.
+ * @param {string} group - 'red' or 'blue'
+ * @param {Object} spec - Distribution spec: { type, ...params } where type is a key of INITIAL_BELIEF_DISTRIBUTIONS (default 'normal')
+ * @returns {Object} Sampler with the group, distribution type and merged params
+ */
+function createBeliefSampler(group, spec = {}) {
+    const sign = BELIEF_GROUPS[group].sign;
+    let type = spec.type || DEFAULT_BELIEF_DISTRIBUTION;
+    if (!INITIAL_BELIEF_DISTRIBUTIONS[type]) {
+        console.error(`Unknown belief distribution "${type}" for ${group}, using ${DEFAULT_BELIEF_DISTRIBUTION}`);
+        type = DEFAULT_BELIEF_DISTRIBUTION;
+    }
+
+    const defaults = INITIAL_BELIEF_DISTRIBUTIONS[type].defaults(sign);
+    const params = { ...defaults };
+    Object.keys(defaults).forEach(name => {
+        const value = spec[name];
+        if (value === undefined || value === null) return;
+
+        const valid = Array.isArray(defaults[name])
+            ? Array.isArray(value) && value.every(Number.isFinite)
+            : Number.isFinite(value);
+        if (valid) {
+            params[name] = value;
+        } else {
+            console.warn(`Invalid ${name} for the ${group} belief distribution: ${value}, using ${defaults[name]}`);
+        }
+    });
+
+    if (type === 'list' && params.values.length === 0) {
+        console.error(`Empty belief list for ${group}, using ${DEFAULT_BELIEF_DISTRIBUTION}`);
+        return createBeliefSampler(group, {});
+    }
+
+    return { group, type, params };
+}
+
+/**
+ * Draw the beliefs of a group, clipped to the group's side of the belief range
+ * @param {Object} sampler - Result of createBeliefSampler()
+ * @param {number} count - Number of beliefs to draw
+ * @param {SeededRandom} rng - Random number generator of the simulation
+ * @returns {number[]} Beliefs in draw order
+ */
+function drawGroupBeliefs(sampler, count, rng) {
+    const { sign, min, max } = BELIEF_GROUPS[sampler.group];
+    const distribution = INITIAL_BELIEF_DISTRIBUTIONS[sampler.type];
+    const beliefs = [];
+    for (let i = 0; i < count; i++) {
+        const beliefValue = distribution.sample(rng, sampler.params, sign, i);
+        beliefs.push(Math.max(min, Math.min(max, beliefValue)));
+    }
+    return beliefs;
+}
+
+/**
+ * Create the initial state of every agent: red agents first, then blue, each group's
+ * zealots being its most extreme members
+ * @param {Object} config - Simulation configuration: populationSize, redProportion, redZealotFraction,
+ *   blueZealotFraction, and optionally initialBeliefs ({ red, blue } distribution specs)
+ * @param {SeededRandom} rng - Random number generator of the simulation
+ * @returns {Object[]} { id, group, beliefValue, isZealot } per agent, in agent order (most extreme first within each group)
+ */
+function createInitialBeliefs(config, rng) {
+    const initialBeliefs = config.initialBeliefs || {};
+
+    // Calculate agent and zealot counts for both groups
+    const totalAgents = config.populationSize;
+    const redAgents = Math.round(totalAgents * config.redProportion);
+    const groupSizes = {
+        red: redAgents,
+        blue: totalAgents - redAgents
+    };
+    const zealotFractions = {
+        red: config.redZealotFraction,
+        blue: config.blueZealotFraction
+    };
+
+    const agents = [];
+    ['red', 'blue'].forEach(group => {
+        const sampler = createBeliefSampler(group, initialBeliefs[group]);
+        const firstId = agents.length;
+        const beliefs = drawGroupBeliefs(sampler, groupSizes[group], rng).map((beliefValue, i) => ({
+            beliefValue,
+            id: firstId + i
+        }));
+
+        // Sort by belief strength (most extreme first)
+        beliefs.sort((a, b) => Math.abs(a.beliefValue) - Math.abs(b.beliefValue));
+        beliefs.reverse();
+
+        // The strongest n% become zealots
+        const zealotCount = Math.round(groupSizes[group] * zealotFractions[group]);
+        beliefs.forEach((agent, i) => {
+            agents.push({
+                id: agent.id,
+                group,
+                beliefValue: agent.beliefValue,
+                isZealot: i < zealotCount
+            });
+        });
+    });
+    return agents;
+}
+
+/**
+ * Move each group's zealots to its configured zealot belief; groups without one keep their drawn beliefs
+ * @param {Object[]} agents - Agents with beliefValue and isZealot, updated in place
+ * @param {string[]} groups - Group of every agent, by index ('red' or 'blue')
+ * @param {Object} zealotBeliefs - Fixed zealot belief per group, { red, blue } (optional)
+ */
+function applyZealotBeliefs(agents, groups, zealotBeliefs = {}) {
+    const beliefs = {
+        red: resolveZealotBelief('red', zealotBeliefs.red),
+        blue: resolveZealotBelief('blue', zealotBeliefs.blue)
+    };
+    agents.forEach((agent, index) => {
+        const zealotBelief = beliefs[groups[index]];
+        if (agent.isZealot && zealotBelief !== null) {
+            agent.beliefValue = zealotBelief;
+        }
+    });
+}
+
+/**
+ * Validate a configured zealot belief, which must lie on its group's side
+ * @param {string} group - 'red' or 'blue'
+ * @param {number} value - Configured belief, or undefined/null to keep the drawn beliefs
+ * @returns {number|null} The belief, or null to keep the drawn beliefs
+ */
+function resolveZealotBelief(group, value) {
+    if (value === undefined || value === null) return null;
+
+    const { min, max } = BELIEF_GROUPS[group];
+    if (!Number.isFinite(value) || value < min || value > max) {
+        console.warn(`Invalid ${group} zealot belief: ${value} (expected a number from ${min} to ${max}), keeping the drawn beliefs`);
+        return null;
+    }
+    return value;
+}
+
+// Export for Node (CommonJS) or create a global initialBeliefsModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BELIEF_GROUPS,
+        INITIAL_BELIEF_DISTRIBUTIONS,
+        DEFAULT_BELIEF_DISTRIBUTION,
+        createBeliefSampler,
+        createInitialBeliefs,
+        applyZealotBeliefs
+    };
+} else {
+    globalThis.initialBeliefsModule = {
+        BELIEF_GROUPS,
+        INITIAL_BELIEF_DISTRIBUTIONS,
+        DEFAULT_BELIEF_DISTRIBUTION,
+        createBeliefSampler,
+        createInitialBeliefs,
+        applyZealotBeliefs
+    };
+}
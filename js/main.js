@@ -18,8 +18,53 @@ document.addEventListener('DOMContentLoaded', function() {
     const startButton = document.getElementById('start-simulation');
     const stopButton = document.getElementById('stop-simulation');
     const resetButton = document.getElementById('reset-simulation');
+    const pauseButton = document.getElementById('pause-simulation');
+    const stepButton = document.getElementById('step-simulation');
+    const saveButton = document.getElementById('save-snapshot');
+    const loadButton = document.getElementById('load-snapshot');
+    const loadFileInput = document.getElementById('load-snapshot-file');
+    const exportSelect = document.getElementById('export-data');
+    const speedSlider = document.getElementById('simulation-speed');
+    const speedValueLabel = document.getElementById('simulation-speed-value');
     const runningIndicator = document.getElementById('running-indicator');
     const homophilySlider = document.getElementById('homophily');
+    const baseInfluenceRateSlider = document.getElementById('base-influence-rate');
+    const persuasivenessWeightSlider = document.getElementById('persuasiveness-weight');
+    const zealotInfluenceSlider = document.getElementById('zealot-influence-probability');
+    const dominanceThresholdSlider = document.getElementById('dominance-threshold');
+    const maxInteractionsInput = document.getElementById('max-interactions');
+    const stagnationWindowInput = document.getElementById('stagnation-window');
+    const stagnationToleranceInput = document.getElementById('stagnation-tolerance');
+    const maxWallClockInput = document.getElementById('max-wall-clock');
+    const traitSliders = {
+        stubbornness: document.getElementById('stubbornness-spread'),
+        susceptibilityMultiplier: document.getElementById('susceptibility-spread'),
+        persuasiveness: document.getElementById('persuasiveness-spread'),
+        commitment: document.getElementById('commitment-spread')
+    };
+    const updateRuleSelect = document.getElementById('update-rule');
+    const schedulerSelect = document.getElementById('scheduler');
+    const pairingPolicySelect = document.getElementById('pairing-policy');
+    const indirectProbabilitySlider = document.getElementById('indirect-probability');
+    const maxHopsInput = document.getElementById('max-hops');
+    const timeAxisSelect = document.getElementById('time-axis');
+    const traitDisplaySelect = document.getElementById('trait-display');
+    const metricsSelector = document.getElementById('metrics-selector');
+    const topologySelect = document.getElementById('network-topology');
+    const directionSelect = document.getElementById('network-direction');
+    const seedInput = document.getElementById('random-seed');
+    const beliefDistributionSelects = {
+        red: document.getElementById('red-belief-distribution'),
+        blue: document.getElementById('blue-belief-distribution')
+    };
+    const zealotBeliefInputs = {
+        red: document.getElementById('red-zealot-belief'),
+        blue: document.getElementById('blue-zealot-belief')
+    };
+    const zealotPlacementSelect = document.getElementById('zealot-placement');
+    const useWorkerCheckbox = document.getElementById('use-worker');
+    const seedUsedLabel = document.getElementById('seed-used');
+    const completionStatusLabel = document.getElementById('completion-status');
     
     // Opinion colors
     const opinionColors = {
@@ -95,19 +140,389 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    // Function to build the simulation configuration from the controls
+    function getSimulationConfig() {
+        return {
+            populationSize: parseInt(populationSizeSlider.value),
+            redProportion: currentProportion,
+            redZealotFraction: parseFloat(redZealotFractionSlider.value),
+            blueZealotFraction: parseFloat(blueZealotFractionSlider.value),
+            homophily: parseFloat(homophilySlider.value),
+            baseInfluenceRate: parseFloat(baseInfluenceRateSlider.value),
+            persuasivenessWeight: parseFloat(persuasivenessWeightSlider.value),
+            zealotInfluenceProbability: parseFloat(zealotInfluenceSlider.value),
+            traitDistributions: getTraitDistributions(),
+            initialBeliefs: {
+                red: getBeliefDistribution('red'),
+                blue: getBeliefDistribution('blue')
+            },
+            zealotBeliefs: {
+                red: zealotBeliefInputs.red.value === '' ? undefined : parseFloat(zealotBeliefInputs.red.value),
+                blue: zealotBeliefInputs.blue.value === '' ? undefined : parseFloat(zealotBeliefInputs.blue.value)
+            },
+            zealotPlacement: zealotPlacementSelect.value,
+            dominanceThreshold: parseFloat(dominanceThresholdSlider.value),
+            updateRule: updateRuleSelect.value,
+            scheduler: schedulerSelect.value,
+            pairingPolicy: pairingPolicySelect.value,
+            pairingParams: {
+                indirectProbability: parseFloat(indirectProbabilitySlider.value),
+                maxHops: maxHopsInput.value === '' ? undefined : parseInt(maxHopsInput.value)
+            },
+            topology: topologySelect.value,
+            directed: directionSelect.value === 'directed',
+            maxInteractions: maxInteractionsInput.value === '' ? undefined : parseInt(maxInteractionsInput.value),
+            stagnationWindow: stagnationWindowInput.value === '' ? undefined : parseInt(stagnationWindowInput.value),
+            stagnationTolerance: stagnationToleranceInput.value === '' ? undefined : parseFloat(stagnationToleranceInput.value),
+            maxWallClockMs: maxWallClockInput.value === '' ? undefined : parseFloat(maxWallClockInput.value) * 1000,
+            simulationSpeed: parseInt(speedSlider.value),
+            seed: seedInput.value === '' ? undefined : parseInt(seedInput.value)
+        };
+    }
+    
+    // Labels of the initial belief distribution parameters
+    const beliefParamLabels = {
+        mean: 'Mean',
+        stdDev: 'Std. dev.',
+        min: 'Min',
+        max: 'Max',
+        alpha: 'α',
+        beta: 'β',
+        value: 'Value',
+        mean1: 'Peak 1',
+        mean2: 'Peak 2',
+        weight: 'Share at peak 2',
+        values: 'Values (comma-separated)'
+    };
+    
+    /**
+     * Show the parameter inputs of a group's selected belief distribution
+     * @param {string} group - 'red' or 'blue'
+     * @param {Object} spec - Parameter values to show; missing ones show the distribution's defaults.
+     *   Without it, inputs already showing the selected distribution are kept as they are.
+     */
+    function renderBeliefParams(group, spec = null) {
+        const type = beliefDistributionSelects[group].value;
+        const sign = initialBeliefsModule.BELIEF_GROUPS[group].sign;
+        const defaults = initialBeliefsModule.INITIAL_BELIEF_DISTRIBUTIONS[type].defaults(sign);
+        const container = document.getElementById(`${group}-belief-params`);
+        if (!spec && container.dataset.type === type) return;
+        
+        container.dataset.type = type;
+        container.innerHTML = '';
+        spec = spec || {};
+        
+        Object.keys(defaults).forEach(name => {
+            const isList = Array.isArray(defaults[name]);
+            const value = spec[name] ?? defaults[name];
+            
+            const label = document.createElement('label');
+            label.className = isList ? 'belief-param-label belief-list' : 'belief-param-label';
+            label.textContent = beliefParamLabels[name] || name;
+            
+            const input = document.createElement('input');
+            input.className = 'param-input';
+            input.dataset.param = name;
+            if (isList) {
+                // Start an empty list from an example, since the model rejects empty lists
+                const example = [0.2, 0.5, 0.8].map(belief => belief * sign);
+                input.type = 'text';
+                input.placeholder = example.join(', ');
+                input.value = (value.length > 0 ? value : example).join(', ');
+            } else {
+                input.type = 'number';
+                input.step = '0.05';
+                input.value = value;
+            }
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+    }
+    
+    /**
+     * Read a group's belief distribution from its controls
+     * @param {string} group - 'red' or 'blue'
+     * @returns {Object} Distribution spec: { type, ...params }
+     */
+    function getBeliefDistribution(group) {
+        const spec = { type: beliefDistributionSelects[group].value };
+        document.querySelectorAll(`#${group}-belief-params input`).forEach(input => {
+            if (input.type === 'text') {
+                spec[input.dataset.param] = input.value.split(/[\s,;]+/).filter(text => text !== '').map(Number);
+            } else if (input.value !== '') {
+                spec[input.dataset.param] = parseFloat(input.value);
+            }
+        });
+        return spec;
+    }
+    
+    // Enable or disable the initial belief controls, including the generated parameter inputs
+    function setBeliefControlsDisabled(disabled) {
+        document.querySelectorAll('.belief-distribution select, .belief-distribution input').forEach(control => {
+            control.disabled = disabled;
+        });
+    }
+    
+    /**
+     * Preview the initial beliefs of the current controls in the histogram, while no run is shown
+     * With a seed the preview is the run's exact starting state; without one it is a sample.
+     * Placements other than the most extreme beliefs need the network, so their zealots are not shown.
+     */
+    function updateBeliefPreview() {
+        if (simulation || !visualizer) return;
+        
+        const config = getSimulationConfig();
+        const rng = new randomModule.SeededRandom(config.seed ?? randomModule.generateSeed());
+        const agents = initialBeliefsModule.createInitialBeliefs(config, rng);
+        if (config.zealotPlacement === zealotPlacementModule.DEFAULT_ZEALOT_PLACEMENT) {
+            initialBeliefsModule.applyZealotBeliefs(agents, agents.map(agent => agent.group), config.zealotBeliefs);
+            visualizer.showHistogramPreview(agents);
+        } else {
+            agents.forEach(agent => {
+                agent.isZealot = false;
+            });
+            visualizer.showHistogramPreview(agents, 'Initial beliefs (preview, zealots placed at start)');
+        }
+    }
+    
+    /**
+     * Build the trait distributions from the trait sliders: stubbornness and commitment are uniform
+     * from 0 to the slider value, susceptibility and persuasiveness uniform within ± the slider value of 1
+     * @returns {Object|undefined} Distribution per trait with a non-zero slider, or undefined if all are zero
+     */
+    function getTraitDistributions() {
+        const distributions = {};
+        Object.keys(traitSliders).forEach(traitName => {
+            const spread = parseFloat(traitSliders[traitName].value);
+            if (spread === 0) return;
+            
+            const center = traitsModule.TRAITS[traitName].defaultValue;
+            distributions[traitName] = { type: 'uniform', min: Math.max(0, center - spread), max: center + spread };
+        });
+        return Object.keys(distributions).length > 0 ? distributions : undefined;
+    }
+    
+    /**
+     * Create and initialize a simulation, in a Web Worker when requested and available
+     * Falls back to the main thread if the worker cannot start (e.g. when the page is opened from file://).
+     * @param {Object} config - Simulation configuration
+     * @param {Object} restored - Simulation restored from a snapshot, continued instead of a new one (optional)
+     * @returns {Promise<Object>} The initialized simulation or worker-backed stand-in
+     */
+    function createSimulation(config, restored = null) {
+        const createLocalSimulation = () => {
+            if (restored) return restored;
+            const localSimulation = new simulationModule.OpinionDynamicsSimulation(config);
+            localSimulation.initialize();
+            return localSimulation;
+        };
+        
+        if (!useWorkerCheckbox.checked || typeof Worker === 'undefined') {
+            return Promise.resolve(createLocalSimulation());
+        }
+        
+        const workerSimulation = new workerSimulationModule.WorkerSimulation(config);
+        const started = restored ? workerSimulation.restore(restored.serialize()) : workerSimulation.initialize();
+        return started.catch(error => {
+            console.warn('Could not start the simulation worker, running on the main thread instead:', error);
+            workerSimulation.terminate();
+            return createLocalSimulation();
+        });
+    }
+    
     // Simulation and visualizer instances
     let simulation = null;
     let visualizer = null;
     let isRunning = false;
+    let isPaused = false;
     let stopRequested = false;
-    let nextInteractionTimeout = null;
+    let animationFrame = null;
+    
+    // Interactions (scheduler ticks) per animation frame for each speed level; Infinity means
+    // as many as fit in the frame budget
+    const SPEED_LEVELS = [1, 2, 5, 10, 25, 50, 100, 250, 500, Infinity];
+    const FRAME_BUDGET_MS = 12;
+    const FRAME_CHUNK_INTERACTIONS = 10; // Interactions run between checks of the frame budget
+    const WORKER_MAX_BATCH = 2000; // Most interactions sent to the worker in one batch
+    
+    // Function to get the ticks per frame for the current speed slider position
+    function getTicksPerFrame() {
+        return SPEED_LEVELS[parseInt(speedSlider.value) - 1];
+    }
+    
+    // Function to convert a number of interactions to whole scheduler ticks (at least one): a tick is one
+    // interaction under random-sequential and one per agent under the random-sweep and synchronous schedulers
+    function interactionsToTicks(interactions) {
+        const interactionsPerTick = simulation.scheduler === 'random-sequential' ? 1 : Math.max(1, simulation.agents.length);
+        return Math.max(1, Math.floor(interactions / interactionsPerTick));
+    }
+    
+    // Function to request the next animation frame of the run
+    function scheduleFrame() {
+        if (animationFrame === null) {
+            animationFrame = requestAnimationFrame(runFrame);
+        }
+    }
+    
+    // Function to cancel a pending animation frame
+    function cancelFrame() {
+        if (animationFrame !== null) {
+            cancelAnimationFrame(animationFrame);
+            animationFrame = null;
+        }
+    }
+    
+    // Function to advance the simulation by one frame's worth of ticks
+    function runFrame() {
+        animationFrame = null;
+        if (!isRunning || isPaused || stopRequested) return;
+        advanceTicks(getTicksPerFrame());
+    }
+    
+    /**
+     * Advance the simulation by a number of ticks and render the result
+     * A worker-backed simulation renders when its batch arrives (onInteractionComplete).
+     * @param {number} ticks - Ticks to run; Infinity runs until the frame budget is used up
+     */
+    function advanceTicks(ticks) {
+        if (simulation instanceof workerSimulationModule.WorkerSimulation) {
+            simulation.step(Math.min(ticks, interactionsToTicks(WORKER_MAX_BATCH)));
+            return;
+        }
+        
+        if (ticks === Infinity) {
+            const chunk = interactionsToTicks(FRAME_CHUNK_INTERACTIONS);
+            const frameStart = performance.now();
+            while (!simulation.isComplete && performance.now() - frameStart < FRAME_BUDGET_MS) {
+                simulation.step(chunk, { callbacks: false });
+            }
+        } else {
+            simulation.step(ticks, { callbacks: false });
+        }
+        afterTicks();
+    }
+    
+    // Function to render after ticks ran and schedule the next frame
+    function afterTicks() {
+        visualizer.update(simulation.getStatistics());
+        
+        if (simulation.isComplete) {
+            simulationComplete();
+        } else if (!isPaused && !stopRequested) {
+            scheduleFrame();
+        }
+    }
+    
+    // Function to handle simulation completion
+    function simulationComplete() {
+        // Display final stats and why the run ended
+        displayFinalStats(simulation);
+        showCompletionStatus(simulation.completionReason);
+        
+        enableControls();
+        
+        // Hide running indicator
+        runningIndicator.classList.add('hidden');
+        
+        isRunning = false;
+    }
+    
+    // Function to re-enable the controls after a run ends
+    function enableControls() {
+        startButton.disabled = false;
+        stopButton.disabled = true;
+        loadButton.disabled = false;
+        pauseButton.disabled = true;
+        pauseButton.textContent = 'Pause';
+        stepButton.disabled = true;
+        proportionSlider.disabled = false;
+        redZealotFractionSlider.disabled = false;
+        blueZealotFractionSlider.disabled = false;
+        populationSizeSlider.disabled = false;
+        homophilySlider.disabled = false;
+        baseInfluenceRateSlider.disabled = false;
+        persuasivenessWeightSlider.disabled = false;
+        zealotInfluenceSlider.disabled = false;
+        dominanceThresholdSlider.disabled = false;
+        maxInteractionsInput.disabled = false;
+        stagnationWindowInput.disabled = false;
+        stagnationToleranceInput.disabled = false;
+        maxWallClockInput.disabled = false;
+        Object.values(traitSliders).forEach(slider => {
+            slider.disabled = false;
+        });
+        setBeliefControlsDisabled(false);
+        zealotPlacementSelect.disabled = false;
+        updateRuleSelect.disabled = false;
+        schedulerSelect.disabled = false;
+        pairingPolicySelect.disabled = false;
+        indirectProbabilitySlider.disabled = false;
+        maxHopsInput.disabled = false;
+        topologySelect.disabled = false;
+        directionSelect.disabled = false;
+        seedInput.disabled = false;
+        useWorkerCheckbox.disabled = false;
+    }
     
     // Initialize the visualizer
     visualizer = new visualizationModule.OpinionVisualizer({
         agentPoolContainer: 'agent-pool-container',
-        opinionPlotContainer: 'opinion-plot-container'
+        opinionPlotContainer: 'opinion-plot-container',
+        timeAxis: timeAxisSelect.value,
+        metricsContainer: 'metrics-plot-container',
+        metrics: getSelectedMetrics(),
+        traitDisplay: traitDisplaySelect.value || null,
+        // Edits on the canvas apply to the live simulation, local or in the worker
+        onAgentEdit: edit => !!simulation && simulation.applyEdit(edit)
     });
     
+    // The time axis can be switched at any time, including during a run
+    timeAxisSelect.addEventListener('change', function() {
+        visualizer.setTimeAxis(this.value);
+    });
+    
+    // So can the agent trait shown in the agent pool and histogram
+    traitDisplaySelect.addEventListener('change', function() {
+        visualizer.setTraitDisplay(this.value || null);
+    });
+    
+    // And the metrics shown under the opinion plot
+    metricsSelector.addEventListener('change', function() {
+        visualizer.setMetrics(getSelectedMetrics());
+    });
+    
+    // Show the parameters of each group's belief distribution, switching them with the distribution
+    ['red', 'blue'].forEach(group => {
+        renderBeliefParams(group);
+        ['input', 'change'].forEach(eventType => {
+            beliefDistributionSelects[group].addEventListener(eventType, () => renderBeliefParams(group));
+        });
+    });
+    
+    // Preview the initial beliefs whenever a control that shapes them changes
+    document.querySelectorAll('.belief-distribution').forEach(element => {
+        element.addEventListener('input', function() {
+            // Reset visualization if simulation exists and is complete
+            if (simulation && simulation.isComplete) {
+                visualizer.reset();
+                simulation = null;
+            }
+            updateBeliefPreview();
+        });
+    });
+    [proportionSlider, redZealotFractionSlider, blueZealotFractionSlider, populationSizeSlider, zealotPlacementSelect, seedInput].forEach(control => {
+        control.addEventListener('input', updateBeliefPreview);
+    });
+    updateBeliefPreview();
+    
+    /**
+     * Get the metrics ticked in the metrics selector, in display order
+     * @returns {string[]} Metric keys
+     */
+    function getSelectedMetrics() {
+        return Array.from(metricsSelector.querySelectorAll('input:checked'), input => input.value);
+    }
+    
     // Track whether simulation has been auto-started
     let hasAutoStarted = false;
 
@@ -128,112 +543,135 @@ document.addEventListener('DOMContentLoaded', function() {
     startButton.addEventListener('click', function() {
         if (isRunning) return;
         
+        beginRun(getSimulationConfig());
+    });
+    
+    /**
+     * Disable the controls, create the simulation and start running it once the network has settled
+     * @param {Object} config - Simulation configuration
+     * @param {Object} restored - Simulation restored from a snapshot, continued instead of a new one (optional)
+     * @param {Object} options - Run options
+     * @param {boolean} options.paused - Start paused, e.g. to inspect a loaded snapshot (default false)
+     */
+    function beginRun(config, restored = null, options = {}) {
         // Reset stop flag
         stopRequested = false;
         
+        // Shut down the worker of the previous run before starting another
+        if (simulation instanceof workerSimulationModule.WorkerSimulation) {
+            simulation.terminate();
+        }
+        
+        // Create and initialize the simulation, in a Web Worker if requested
+        const simulationPromise = createSimulation(config, restored);
+        
         // Disable controls during simulation
         startButton.disabled = true;
         stopButton.disabled = false;
+        saveButton.disabled = true;
+        exportSelect.disabled = true;
+        loadButton.disabled = true;
         proportionSlider.disabled = true;
         redZealotFractionSlider.disabled = true;
         blueZealotFractionSlider.disabled = true;
         populationSizeSlider.disabled = true;
         homophilySlider.disabled = true;
+        baseInfluenceRateSlider.disabled = true;
+        persuasivenessWeightSlider.disabled = true;
+        zealotInfluenceSlider.disabled = true;
+        dominanceThresholdSlider.disabled = true;
+        maxInteractionsInput.disabled = true;
+        stagnationWindowInput.disabled = true;
+        stagnationToleranceInput.disabled = true;
+        maxWallClockInput.disabled = true;
+        Object.values(traitSliders).forEach(slider => {
+            slider.disabled = true;
+        });
+        setBeliefControlsDisabled(true);
+        zealotPlacementSelect.disabled = true;
+        updateRuleSelect.disabled = true;
+        schedulerSelect.disabled = true;
+        pairingPolicySelect.disabled = true;
+        indirectProbabilitySlider.disabled = true;
+        maxHopsInput.disabled = true;
+        topologySelect.disabled = true;
+        directionSelect.disabled = true;
+        seedInput.disabled = true;
+        useWorkerCheckbox.disabled = true;
         
         // Show running indicator
         runningIndicator.classList.remove('hidden');
         
-        // Get parameters
-        const redProportion = currentProportion;
-        
-        // Create simulation configuration
-        const config = {
-            populationSize: parseInt(populationSizeSlider.value),
-            redProportion: redProportion,
-            redZealotFraction: parseFloat(redZealotFractionSlider.value),
-            blueZealotFraction: parseFloat(blueZealotFractionSlider.value),
-            homophily: parseFloat(homophilySlider.value),
-            maxInteractions: 10000,
-            simulationSpeed: 5
-        };
-        
-        // Initialize simulation
-        simulation = new simulationModule.OpinionDynamicsSimulation(config);
-        
-        // Set up simulation callbacks
-        simulation.onInteractionComplete = function(interactionResult) {
-            // Update visualization
-            visualizer.update(simulation.getStatistics());
+        simulationPromise.then(createdSimulation => {
+            simulation = createdSimulation;
             
-            // If simulation is not complete and not stopped, run next interaction after a delay
-            if (!simulation.isComplete && !stopRequested) {
-                // Use a fixed small delay for maximum speed
-                const delay = 10;
-                nextInteractionTimeout = setTimeout(() => {
-                    simulation.runInteraction();
-                }, delay);
-            } else {
-                // Simulation is complete or stopped
-                simulationComplete();
+            // Set up simulation callbacks
+            // A local simulation is stepped with callbacks off by runFrame(); a worker-backed
+            // one reports each batch through onInteractionComplete
+            simulation.onInteractionComplete = function(interactionResult) {
+                // Ignore a worker batch that arrives after the run was stopped
+                if (!isRunning) return;
+                
+                afterTicks();
+            };
+            
+            // A batch that fails in the worker ends the run instead of leaving it waiting
+            if (simulation instanceof workerSimulationModule.WorkerSimulation) {
+                simulation.onError = function(error) {
+                    console.error(error.message);
+                    if (!isRunning) return;
+                    
+                    cancelFrame();
+                    enableControls();
+                    runningIndicator.classList.add('hidden');
+                    completionStatusLabel.textContent = `Stopped: ${error.message}`;
+                    isRunning = false;
+                };
             }
-        };
-        
-        simulation.onProgressUpdate = function(stats) {
-            // Update visualization periodically
-            visualizer.update(stats);
-        };
-        
-        simulation.onSimulationComplete = function(results) {
-            // Final update when simulation is complete
-            visualizer.update(simulation.getStatistics());
-            simulationComplete();
-        };
-        
-        // Function to handle simulation completion
-        function simulationComplete() {
-            // Display final stats
-            displayFinalStats(simulation);
             
-            // Re-enable controls
-            startButton.disabled = false;
-            stopButton.disabled = true;
-            proportionSlider.disabled = false;
-            redZealotFractionSlider.disabled = false;
-            blueZealotFractionSlider.disabled = false;
-            populationSizeSlider.disabled = false;
-            homophilySlider.disabled = false;
+            // Initialize visualizer
+            visualizer.initialize(simulation);
             
-            // Hide running indicator
-            runningIndicator.classList.add('hidden');
+            // Show the seed so this run can be replayed later
+            seedUsedLabel.textContent = `Seed used: ${simulation.seed}`;
+            completionStatusLabel.textContent = '';
             
-            isRunning = false;
-        }
-        
-        // Initialize simulation and visualizer
-        simulation.initialize();
-        visualizer.initialize(simulation);
-        
-        // Allow network to settle before starting interactions
-        runningIndicator.innerHTML = '<div class="spinner"></div><span>Settling network...</span>';
-        
-        // Run the force simulation for a while to let positions stabilize
-        visualizer.forceSimulation.alpha(1).restart();
-        
-        // Wait for network to settle before starting interactions
-        setTimeout(() => {
-            runningIndicator.innerHTML = '<div class="spinner"></div><span>Running...</span>';
+            // Allow network to settle before starting interactions
+            runningIndicator.innerHTML = '<div class="spinner"></div><span>Settling network...</span>';
             
-            // Display initial statistics
-            const initialStats = simulation.getStatistics();
-            visualizer.update(initialStats);
+            // Run the force simulation for a while to let positions stabilize
+            visualizer.forceSimulation.alpha(1).restart();
             
-            // Start the simulation
-            isRunning = true;
+            // Wait for network to settle before starting interactions
             setTimeout(() => {
-                simulation.runInteraction();
-            }, 100);
-        }, 2000); // Allow 2 seconds for network to settle
-    });
+                runningIndicator.innerHTML = '<div class="spinner"></div><span>Running...</span>';
+                
+                // Display initial statistics
+                const initialStats = simulation.getStatistics();
+                visualizer.update(initialStats);
+                saveButton.disabled = false;
+                exportSelect.disabled = false;
+                loadButton.disabled = false;
+                
+                // A loaded snapshot may come from a run that had already ended
+                if (simulation.isComplete) {
+                    simulationComplete();
+                    return;
+                }
+                
+                // Start the simulation
+                isRunning = true;
+                isPaused = !!options.paused;
+                pauseButton.disabled = false;
+                pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+                stepButton.disabled = !isPaused;
+                runningIndicator.classList.toggle('hidden', isPaused);
+                if (!isPaused) {
+                    scheduleFrame();
+                }
+            }, 2000); // Allow 2 seconds for network to settle
+        });
+    }
     
     // Stop simulation button click handler
     stopButton.addEventListener('click', function() {
@@ -242,25 +680,17 @@ document.addEventListener('DOMContentLoaded', function() {
         stopRequested = true;
         stopButton.disabled = true;
         
-        // If there's a pending timeout, clear it
-        if (nextInteractionTimeout) {
-            clearTimeout(nextInteractionTimeout);
-            nextInteractionTimeout = null;
-        }
+        // If there's a pending frame, cancel it
+        cancelFrame();
         
         // If simulation is running, mark it as complete
         if (isRunning) {
             // Display final stats
             displayFinalStats(simulation);
+            showCompletionStatus('stopped');
             
             // Re-enable controls
-            startButton.disabled = false;
-            stopButton.disabled = true;
-            proportionSlider.disabled = false;
-            redZealotFractionSlider.disabled = false;
-            blueZealotFractionSlider.disabled = false;
-            populationSizeSlider.disabled = false;
-            homophilySlider.disabled = false;
+            enableControls();
             
             // Hide running indicator
             runningIndicator.classList.add('hidden');
@@ -269,6 +699,165 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
     
+    // Pause/resume button click handler: pausing keeps the simulation state
+    pauseButton.addEventListener('click', function() {
+        if (!isRunning || !simulation) return;
+        
+        isPaused = !isPaused;
+        pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+        stepButton.disabled = !isPaused;
+        runningIndicator.classList.toggle('hidden', isPaused);
+        
+        if (isPaused) {
+            cancelFrame();
+        } else {
+            scheduleFrame();
+        }
+    });
+    
+    // Step button click handler: advance a paused run by a single interaction (or time step)
+    stepButton.addEventListener('click', function() {
+        if (!isRunning || !isPaused || !simulation) return;
+        advanceTicks(1);
+    });
+    
+    // Save button click handler: download the full simulation state as a JSON snapshot
+    saveButton.addEventListener('click', function() {
+        if (!simulation) return;
+        
+        // A worker-backed simulation serializes in the worker and returns a promise
+        Promise.resolve(simulation.serialize()).then(snapshot => {
+            downloadFile(snapshot, `simulation-seed-${simulation.seed}-${simulation.interactionCount}.json`, 'application/json');
+        }).catch(error => {
+            console.error('Could not save the simulation:', error.message);
+        });
+    });
+    
+    // Export menu: download the opinion time series or the agent states as CSV
+    exportSelect.addEventListener('change', function() {
+        const choice = this.value;
+        this.value = '';
+        if (!simulation) return;
+        
+        const fileSuffix = `seed-${simulation.seed}-${simulation.interactionCount}.csv`;
+        if (choice === 'time-series') {
+            downloadFile(csvExportModule.createTimeSeriesCSV(simulation.getStatistics()), `opinion-time-series-${fileSuffix}`, 'text/csv');
+        } else if (choice === 'agents') {
+            downloadFile(csvExportModule.createAgentStateCSV(simulation.agents), `agent-states-${fileSuffix}`, 'text/csv');
+        }
+    });
+    
+    // Function to save generated text as a file download
+    function downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    // Load button click handler: pick a snapshot file
+    loadButton.addEventListener('click', function() {
+        loadFileInput.click();
+    });
+    
+    // Restore the chosen snapshot and open it paused, ready to resume or step
+    loadFileInput.addEventListener('change', function() {
+        const file = this.files[0];
+        this.value = '';
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const restored = simulationModule.OpinionDynamicsSimulation.deserialize(reader.result);
+            if (!restored) {
+                completionStatusLabel.textContent = `Could not load ${file.name}`;
+                return;
+            }
+            
+            // Stop the current run; beginRun() shuts down its worker
+            if (simulation && isRunning) {
+                stopButton.click();
+            }
+            
+            applyConfigToControls(restored.config);
+            seedInput.value = restored.seed;
+            beginRun(restored.config, restored, { paused: true });
+        };
+        reader.onerror = () => console.error(`Could not read ${file.name}:`, reader.error);
+        reader.readAsText(file);
+    });
+    
+    // Function to set a control from a configuration value, leaving it unchanged when the value is missing
+    function setControlValue(control, value) {
+        if (value === undefined || value === null) return;
+        control.value = value;
+        control.dispatchEvent(new Event('input'));
+    }
+    
+    // Function to show the configuration of a loaded snapshot in the controls
+    function applyConfigToControls(config) {
+        if (config.redProportion !== undefined) {
+            proportionSlider.value = Math.round(config.redProportion * 100);
+            proportionSlider.dispatchEvent(new Event('input'));
+        }
+        setControlValue(redZealotFractionSlider, config.redZealotFraction);
+        setControlValue(blueZealotFractionSlider, config.blueZealotFraction);
+        setControlValue(populationSizeSlider, config.populationSize);
+        setControlValue(homophilySlider, config.homophily);
+        setControlValue(baseInfluenceRateSlider, config.baseInfluenceRate);
+        setControlValue(persuasivenessWeightSlider, config.persuasivenessWeight);
+        setControlValue(zealotInfluenceSlider, config.zealotInfluenceProbability);
+        setControlValue(dominanceThresholdSlider, config.dominanceThreshold);
+        setControlValue(maxInteractionsInput, config.maxInteractions);
+        setControlValue(stagnationWindowInput, config.stagnationWindow);
+        setControlValue(stagnationToleranceInput, config.stagnationTolerance);
+        setControlValue(maxWallClockInput, typeof config.maxWallClockMs === 'number' ? config.maxWallClockMs / 1000 : undefined);
+        
+        // Initial belief distributions and zealot beliefs
+        const initialBeliefs = config.initialBeliefs || {};
+        const zealotBeliefs = config.zealotBeliefs || {};
+        ['red', 'blue'].forEach(group => {
+            const spec = initialBeliefs[group] || {};
+            beliefDistributionSelects[group].value = spec.type || initialBeliefsModule.DEFAULT_BELIEF_DISTRIBUTION;
+            renderBeliefParams(group, spec);
+            zealotBeliefInputs[group].value = zealotBeliefs[group] ?? '';
+        });
+        setControlValue(zealotPlacementSelect, config.zealotPlacement);
+        
+        // Uniform trait distributions map back onto the sliders; other shapes cannot be shown and leave them at 0
+        const traitDistributions = config.traitDistributions || {};
+        Object.keys(traitSliders).forEach(traitName => {
+            const distribution = traitDistributions[traitName];
+            setControlValue(traitSliders[traitName], distribution && distribution.type === 'uniform'
+                ? distribution.max - traitsModule.TRAITS[traitName].defaultValue
+                : 0);
+        });
+        setControlValue(updateRuleSelect, config.updateRule);
+        setControlValue(schedulerSelect, config.scheduler);
+        setControlValue(pairingPolicySelect, config.pairingPolicy);
+        setControlValue(topologySelect, config.topology);
+        if (config.directed !== undefined) {
+            directionSelect.value = config.directed ? 'directed' : 'undirected';
+        }
+        
+        const pairingParams = config.pairingParams || {};
+        setControlValue(indirectProbabilitySlider, pairingParams.indirectProbability);
+        maxHopsInput.value = pairingParams.maxHops === undefined ? '' : pairingParams.maxHops;
+    }
+    
+    // Show the ticks per frame of the speed slider
+    function updateSpeedLabel() {
+        const ticks = getTicksPerFrame();
+        speedValueLabel.textContent = ticks === Infinity ? 'Max' : `${ticks} / frame`;
+    }
+    
+    speedSlider.addEventListener('input', updateSpeedLabel);
+    
     // Reset visualization button click handler
     resetButton.addEventListener('click', function() {
         if (visualizer) {
@@ -280,12 +869,55 @@ document.addEventListener('DOMContentLoaded', function() {
             stopButton.click();
         }
         
+        // Shut down a worker-backed simulation
+        if (simulation instanceof workerSimulationModule.WorkerSimulation) {
+            simulation.terminate();
+        }
+        
         // Reset sliders to default values
         proportionSlider.value = 50;
         redZealotFractionSlider.value = 0.05;
         blueZealotFractionSlider.value = 0.05;
         populationSizeSlider.value = 100;
         homophilySlider.value = 0.7;
+        baseInfluenceRateSlider.value = 0.1;
+        persuasivenessWeightSlider.value = 1;
+        zealotInfluenceSlider.value = 1;
+        dominanceThresholdSlider.value = 1;
+        maxInteractionsInput.value = 10000;
+        stagnationWindowInput.value = 0;
+        stagnationToleranceInput.value = 0.01;
+        maxWallClockInput.value = 0;
+        Object.values(traitSliders).forEach(slider => {
+            slider.value = 0;
+        });
+        ['red', 'blue'].forEach(group => {
+            beliefDistributionSelects[group].value = initialBeliefsModule.DEFAULT_BELIEF_DISTRIBUTION;
+            renderBeliefParams(group, {});
+            zealotBeliefInputs[group].value = '';
+        });
+        zealotPlacementSelect.value = zealotPlacementModule.DEFAULT_ZEALOT_PLACEMENT;
+        updateRuleSelect.value = 'susceptibility';
+        schedulerSelect.value = 'random-sequential';
+        pairingPolicySelect.value = 'mixed';
+        indirectProbabilitySlider.value = 0.3;
+        maxHopsInput.value = '';
+        timeAxisSelect.value = 'interactions';
+        visualizer.setTimeAxis('interactions');
+        traitDisplaySelect.value = '';
+        visualizer.setTraitDisplay(null);
+        metricsSelector.querySelectorAll('input').forEach(input => {
+            input.checked = input.defaultChecked;
+        });
+        visualizer.setMetrics(getSelectedMetrics());
+        topologySelect.value = 'homophily';
+        directionSelect.value = 'undirected';
+        seedInput.value = '';
+        useWorkerCheckbox.checked = false;
+        speedSlider.value = 5;
+        updateSpeedLabel();
+        seedUsedLabel.textContent = '';
+        completionStatusLabel.textContent = '';
         
         // Update slider displays
         updateProportionControl();
@@ -293,12 +925,32 @@ document.addEventListener('DOMContentLoaded', function() {
         document.querySelector('.param-group:nth-child(3) .slider-max').textContent = '5%';
         document.querySelector('.param-group:nth-child(4) .slider-max').textContent = '100';
         document.querySelector('.param-group:nth-child(5) .slider-max').textContent = '70%';
+        updateInfluenceLabels();
         
         simulation = null;
+        saveButton.disabled = true;
+        exportSelect.disabled = true;
         redZealotFractionSlider.disabled = false;
         blueZealotFractionSlider.disabled = false;
+        updateBeliefPreview();
     });
     
+    // Human-readable descriptions of why a run ended
+    const completionDescriptions = {
+        'consensus': 'Consensus reached',
+        'dominance': 'Dominance threshold reached',
+        'stagnation': 'Stopped: opinions stopped changing',
+        'max-interactions': 'Stopped: interaction limit reached',
+        'wall-clock': 'Stopped: time limit reached',
+        'disconnected': 'Stopped: network has no connected pairs',
+        'stopped': 'Stopped by user'
+    };
+    
+    // Function to show why the run ended
+    function showCompletionStatus(reason) {
+        completionStatusLabel.textContent = completionDescriptions[reason] || '';
+    }
+    
     // Function to display final statistics
     function displayFinalStats(simulation) {
         const stats = simulation.getStatistics();
@@ -332,9 +984,111 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     });
 
+    // Update the value labels of the model constant sliders
+    function updateInfluenceLabels() {
+        document.getElementById('base-influence-rate-value').textContent = parseFloat(baseInfluenceRateSlider.value).toFixed(2);
+        document.getElementById('persuasiveness-weight-value').textContent = `${Math.round(persuasivenessWeightSlider.value * 100)}%`;
+        document.getElementById('zealot-influence-probability-value').textContent = `${Math.round(zealotInfluenceSlider.value * 100)}%`;
+        document.getElementById('dominance-threshold-value').textContent = `${Math.round(dominanceThresholdSlider.value * 100)}%`;
+        document.getElementById('indirect-probability-value').textContent = `${Math.round(indirectProbabilitySlider.value * 100)}%`;
+        document.getElementById('stubbornness-spread-value').textContent = `${Math.round(traitSliders.stubbornness.value * 100)}%`;
+        document.getElementById('susceptibility-spread-value').textContent = `±${parseFloat(traitSliders.susceptibilityMultiplier.value).toFixed(2)}`;
+        document.getElementById('persuasiveness-spread-value').textContent = `±${parseFloat(traitSliders.persuasiveness.value).toFixed(2)}`;
+        document.getElementById('commitment-spread-value').textContent = `${Math.round(traitSliders.commitment.value * 100)}%`;
+    }
+    
+    [baseInfluenceRateSlider, persuasivenessWeightSlider, zealotInfluenceSlider, dominanceThresholdSlider, indirectProbabilitySlider, ...Object.values(traitSliders)].forEach(slider => {
+        slider.addEventListener('input', function() {
+            updateInfluenceLabels();
+            
+            // Reset visualization if simulation exists and is complete
+            if (simulation && simulation.isComplete) {
+                visualizer.reset();
+                simulation = null;
+            }
+        });
+    });
+    
     // Initialize homophily slider value
     document.querySelector('.param-group:nth-child(5) .slider-max').textContent = `${Math.round(homophilySlider.value * 100)}%`;
 
+    // Parameter sweep controls
+    const sweepXSelect = document.getElementById('sweep-x-parameter');
+    const sweepYSelect = document.getElementById('sweep-y-parameter');
+    const sweepReplicatesInput = document.getElementById('sweep-replicates');
+    const sweepProgress = document.getElementById('sweep-progress');
+    const startSweepButton = document.getElementById('start-sweep');
+    const stopSweepButton = document.getElementById('stop-sweep');
+    
+    // Values swept for each parameter, matching the slider ranges
+    const sweepValues = {
+        redProportion: d3.range(0.1, 0.95, 0.1).map(v => +v.toFixed(2)),
+        redZealotFraction: d3.range(0, 0.51, 0.05).map(v => +v.toFixed(2)),
+        blueZealotFraction: d3.range(0, 0.51, 0.05).map(v => +v.toFixed(2)),
+        homophily: d3.range(0.5, 0.96, 0.05).map(v => +v.toFixed(2)),
+        populationSize: [50, 100, 150, 200, 250, 300]
+    };
+    
+    // The phase diagram shares the visualizer's red/blue color scale
+    const phaseDiagram = new phaseDiagramModule.PhaseDiagram({
+        container: 'phase-diagram-container',
+        colorScale: visualizer.colorScale
+    });
+    let sweep = null;
+    
+    // Run sweep button click handler
+    startSweepButton.addEventListener('click', function() {
+        const xParameter = sweepXSelect.value;
+        const yParameter = sweepYSelect.value;
+        
+        if (xParameter === yParameter) {
+            sweepProgress.textContent = 'Choose two different parameters.';
+            return;
+        }
+        
+        const baseConfig = getSimulationConfig();
+        delete baseConfig.seed;
+        
+        sweep = new sweepModule.ParameterSweep({
+            baseConfig,
+            grid: {
+                [xParameter]: sweepValues[xParameter],
+                [yParameter]: sweepValues[yParameter]
+            },
+            replicates: Math.max(1, parseInt(sweepReplicatesInput.value) || 1),
+            baseSeed: seedInput.value === '' ? 0 : parseInt(seedInput.value)
+        });
+        
+        // Redraw the heatmap as each cell finishes
+        sweep.onCellComplete = function(result, completed, total) {
+            sweepProgress.textContent = `Running cell ${completed} of ${total}...`;
+            phaseDiagram.render(sweep.results, xParameter, yParameter);
+        };
+        
+        startSweepButton.disabled = true;
+        stopSweepButton.disabled = false;
+        phaseDiagram.reset();
+        sweepProgress.textContent = 'Starting sweep...';
+        
+        sweep.runAsync().then(results => {
+            sweepProgress.textContent = `Sweep finished: ${results.length} cells.`;
+        }).catch(error => {
+            console.error('Parameter sweep failed:', error);
+            sweepProgress.textContent = `Sweep failed after ${sweep.results.length} cells: ${error.message}`;
+        }).finally(() => {
+            startSweepButton.disabled = false;
+            stopSweepButton.disabled = true;
+        });
+    });
+    
+    // Stop sweep button click handler
+    stopSweepButton.addEventListener('click', function() {
+        if (sweep) {
+            sweep.stop();
+        }
+        stopSweepButton.disabled = true;
+    });
+    
     // Find the simulation container
     const simulationContainer = document.querySelector('.simulation-container');
     
@@ -0,0 +1,165 @@
+/**
+ * metrics.js
+ *
+ * This module computes the summary metrics recorded with the opinion history: the mean,
+ * variance and bimodality of the belief distribution, the fraction of links joining
+ * agents of opposite opinions (realized homophily), and the number of opinion clusters.
+ * The belief metrics come from running power sums, so the simulation can keep them up
+ * to date in constant time per belief change.
+ */
+
+/**
+ * Sum the first four powers of every belief
+ * @param {Agent[]} agents - Simulation agents
+ * @returns {number[]} [Σb, Σb², Σb³, Σb⁴]
+ */
+function getBeliefPowerSums(agents) {
+    const sums = [0, 0, 0, 0];
+    agents.forEach(agent => {
+        const b = agent.beliefValue;
+        sums[0] += b;
+        sums[1] += b * b;
+        sums[2] += b * b * b;
+        sums[3] += b * b * b * b;
+    });
+    return sums;
+}
+
+/**
+ * Update power sums in place after one belief changed
+ * @param {number[]} sums - Power sums from getBeliefPowerSums()
+ * @param {number} before - Belief before the update
+ * @param {number} after - Belief after the update
+ */
+function shiftBeliefPowerSums(sums, before, after) {
+    if (before === after) return;
+    sums[0] += after - before;
+    sums[1] += after * after - before * before;
+    sums[2] += after * after * after - before * before * before;
+    sums[3] += after * after * after * after - before * before * before * before;
+}
+
+/**
+ * Describe the belief distribution from its power sums
+ * The bimodality coefficient is (skewness² + 1) / kurtosis: 5/9 for a uniform distribution,
+ * higher for two separated peaks (up to 1), lower for a single peak. It is 0 when all beliefs are equal.
+ * @param {number[]} sums - Power sums from getBeliefPowerSums()
+ * @param {number} count - Number of agents
+ * @returns {Object} { meanBelief, beliefVariance, bimodality }
+ */
+function describeBeliefs(sums, count) {
+    if (count === 0) {
+        return { meanBelief: 0, beliefVariance: 0, bimodality: 0 };
+    }
+
+    const mean = sums[0] / count;
+    const raw2 = sums[1] / count;
+    const raw3 = sums[2] / count;
+    const raw4 = sums[3] / count;
+
+    // Central moments from the raw moments
+    const variance = Math.max(0, raw2 - mean * mean);
+    const central3 = raw3 - 3 * mean * raw2 + 2 * mean * mean * mean;
+    const central4 = raw4 - 4 * mean * raw3 + 6 * mean * mean * raw2 - 3 * mean * mean * mean * mean;
+
+    // (skewness² + 1) / kurtosis, written out to avoid dividing by powers of a tiny variance
+    const bimodality = variance > 1e-12 && central4 > 0
+        ? (central3 * central3 + variance * variance * variance) / (central4 * variance)
+        : 0;
+
+    return { meanBelief: mean, beliefVariance: variance, bimodality };
+}
+
+/**
+ * Mark which agents hold the red opinion, by index
+ * @param {Agent[]} agents - Simulation agents
+ * @returns {Uint8Array} 1 for red agents, 0 for blue
+ */
+function getRedFlags(agents) {
+    const isRed = new Uint8Array(agents.length);
+    for (let i = 0; i < agents.length; i++) {
+        isRed[i] = agents[i].beliefValue < 0 ? 1 : 0;
+    }
+    return isRed;
+}
+
+/**
+ * Fraction of links that join agents of opposite opinions
+ * @param {Agent[]} agents - Simulation agents
+ * @param {Map} agentIndex - Agent ID -> index in agents
+ * @returns {number} Cross-opinion fraction (0 when there are no links)
+ */
+function getCrossEdgeFraction(agents, agentIndex) {
+    const isRed = getRedFlags(agents);
+    let links = 0;
+    let crossLinks = 0;
+
+    for (let i = 0; i < agents.length; i++) {
+        const neighbors = agents[i].neighbors;
+        for (let k = 0; k < neighbors.length; k++) {
+            const j = agentIndex.get(neighbors[k]);
+            if (j === undefined) continue;
+            links++;
+            if (isRed[j] !== isRed[i]) crossLinks++;
+        }
+    }
+    return links > 0 ? crossLinks / links : 0;
+}
+
+/**
+ * Count opinion clusters: groups of agents connected through links between agents of the same
+ * opinion (link direction is ignored). An agent with no same-opinion neighbor is a cluster of one.
+ * @param {Agent[]} agents - Simulation agents
+ * @param {Map} agentIndex - Agent ID -> index in agents
+ * @returns {number} Number of clusters
+ */
+function countOpinionClusters(agents, agentIndex) {
+    const isRed = getRedFlags(agents);
+
+    // Union-find over agent indexes, with path halving
+    const parent = new Int32Array(agents.length);
+    for (let i = 0; i < agents.length; i++) parent[i] = i;
+    const find = index => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    let clusters = agents.length;
+    for (let i = 0; i < agents.length; i++) {
+        const neighbors = agents[i].neighbors;
+        for (let k = 0; k < neighbors.length; k++) {
+            const j = agentIndex.get(neighbors[k]);
+            if (j === undefined || isRed[j] !== isRed[i]) continue;
+
+            const root = find(i);
+            const neighborRoot = find(j);
+            if (root !== neighborRoot) {
+                parent[neighborRoot] = root;
+                clusters--;
+            }
+        }
+    }
+    return clusters;
+}
+
+// Export for Node (CommonJS) or create a global metricsModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getBeliefPowerSums,
+        shiftBeliefPowerSums,
+        describeBeliefs,
+        getCrossEdgeFraction,
+        countOpinionClusters
+    };
+} else {
+    globalThis.metricsModule = {
+        getBeliefPowerSums,
+        shiftBeliefPowerSums,
+        describeBeliefs,
+        getCrossEdgeFraction,
+        countOpinionClusters
+    };
+}
@@ -0,0 +1,375 @@
+/**
+ * network.js
+ *
+ * This module defines the network topology generators for the Opinion Dynamics simulation.
+ * Each generator takes the agents, its parameters and the simulation's random number
+ * generator, and returns a list of undirected edges as pairs of agent IDs. Generators
+ * honour the homophily parameter (probability that a connection joins agents with the
+ * same opinion) where the structure allows it.
+ */
+
+/**
+ * Shuffle an array in place using the Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @param {function(): number} random - Uniform random number source in [0, 1)
+ * @returns {Array} The shuffled array
+ */
+function shuffle(array, random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+/**
+ * Collects undirected edges, ignoring self-loops and duplicates
+ */
+class EdgeSet {
+    constructor() {
+        this.keys = new Set();
+        this.edges = [];
+    }
+
+    /**
+     * Add an undirected edge
+     * @param {number} a - ID of the first agent
+     * @param {number} b - ID of the second agent
+     * @returns {boolean} Whether the edge was new
+     */
+    add(a, b) {
+        if (a === b) return false;
+        const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+        if (this.keys.has(key)) return false;
+        this.keys.add(key);
+        this.edges.push([a, b]);
+        return true;
+    }
+
+    /**
+     * Check whether an undirected edge exists
+     * @param {number} a - ID of the first agent
+     * @param {number} b - ID of the second agent
+     * @returns {boolean} Whether the edge exists
+     */
+    has(a, b) {
+        return this.keys.has(a < b ? `${a}-${b}` : `${b}-${a}`);
+    }
+}
+
+/**
+ * Split agents into groups by opinion
+ * @param {Agent[]} agents - All agents
+ * @returns {Object} Arrays of red and blue agents
+ */
+function groupByOpinion(agents) {
+    return {
+        red: agents.filter(agent => agent.beliefValue < 0),
+        blue: agents.filter(agent => agent.beliefValue >= 0)
+    };
+}
+
+/**
+ * Add edges between two groups of agents, each pair independently with probability p.
+ * Uses geometric skipping so the cost is proportional to the number of edges created.
+ *
+ * @param {EdgeSet} edgeSet - Edge collection to add to
+ * @param {Agent[]} groupA - First group
+ * @param {Agent[]} groupB - Second group (pass the same array for pairs within one group)
+ * @param {number} p - Connection probability
+ * @param {function(): number} random - Uniform random number source in [0, 1)
+ */
+function addRandomEdges(edgeSet, groupA, groupB, p, random) {
+    if (p <= 0) return;
+    const sameGroup = groupA === groupB;
+    const logSkip = p < 1 ? Math.log(1 - p) : null;
+
+    // Walk the pairs row by row: (i, j) with j < i within a group, or any j across groups
+    let i = sameGroup ? 1 : 0;
+    let j = -1;
+    while (i < groupA.length) {
+        const skip = logSkip === null ? 0 : Math.floor(Math.log(1 - random()) / logSkip);
+        j += 1 + skip;
+
+        let rowLength = sameGroup ? i : groupB.length;
+        while (j >= rowLength && i < groupA.length) {
+            j -= rowLength;
+            i++;
+            rowLength = sameGroup ? i : groupB.length;
+        }
+
+        if (i < groupA.length) {
+            edgeSet.add(groupA[i].id, groupB[j].id);
+        }
+    }
+}
+
+/**
+ * Pick a random agent, preferring the same opinion as a given agent with probability homophily
+ * @param {Agent} agent - Agent looking for a partner
+ * @param {Object} groups - Agents grouped by opinion
+ * @param {number} homophily - Probability of choosing the same opinion
+ * @param {function(): number} random - Uniform random number source in [0, 1)
+ * @returns {Agent|null} Chosen agent, or null if the preferred group has no one else
+ */
+function pickWithHomophily(agent, groups, homophily, random) {
+    const sameOpinion = random() < homophily;
+    const isRed = agent.beliefValue < 0;
+    const candidates = sameOpinion === isRed ? groups.red : groups.blue;
+    if (candidates.length === 0 || (candidates.length === 1 && candidates[0] === agent)) {
+        return null;
+    }
+
+    let candidate;
+    do {
+        candidate = candidates[Math.floor(random() * candidates.length)];
+    } while (candidate === agent);
+    return candidate;
+}
+
+/**
+ * Erdős–Rényi random graph
+ * Every pair connects independently. Same-opinion pairs connect with probability
+ * p·2h and cross-opinion pairs with p·2(1-h), so h = 0.5 gives the classic G(n, p).
+ */
+function erdosRenyi(agents, params, random) {
+    const n = agents.length;
+    const p = Math.min(1, params.averageDegree / Math.max(1, n - 1));
+    const groups = groupByOpinion(agents);
+    const edgeSet = new EdgeSet();
+
+    const pSame = Math.min(1, p * 2 * params.homophily);
+    const pCross = Math.min(1, p * 2 * (1 - params.homophily));
+
+    addRandomEdges(edgeSet, groups.red, groups.red, pSame, random);
+    addRandomEdges(edgeSet, groups.blue, groups.blue, pSame, random);
+    addRandomEdges(edgeSet, groups.red, groups.blue, pCross, random);
+
+    return edgeSet.edges;
+}
+
+/**
+ * Watts–Strogatz small-world network
+ * Agents sit on a ring in random order, each linked to its k nearest ring neighbours.
+ * Each link is then rewired with probability beta to an agent chosen with homophily.
+ */
+function wattsStrogatz(agents, params, random) {
+    const n = agents.length;
+    const ring = shuffle(agents.slice(), random);
+    const halfK = Math.max(1, Math.floor(params.neighbors / 2));
+    const groups = groupByOpinion(agents);
+    const edgeSet = new EdgeSet();
+
+    for (let i = 0; i < n; i++) {
+        for (let offset = 1; offset <= halfK; offset++) {
+            const agent = ring[i];
+            let target = ring[(i + offset) % n];
+
+            if (random() < params.rewiringProbability) {
+                // Rewire to a homophily-weighted random agent, keeping the lattice link if none is free
+                for (let attempts = 0; attempts < 10; attempts++) {
+                    const candidate = pickWithHomophily(agent, groups, params.homophily, random);
+                    if (candidate && !edgeSet.has(agent.id, candidate.id)) {
+                        target = candidate;
+                        break;
+                    }
+                }
+            }
+
+            edgeSet.add(agent.id, target.id);
+        }
+    }
+
+    return edgeSet.edges;
+}
+
+/**
+ * Barabási–Albert scale-free network
+ * Agents join one at a time in random order and attach m links by preferential attachment.
+ * A candidate is accepted with weight h if it shares the newcomer's opinion and 1-h otherwise.
+ */
+function barabasiAlbert(agents, params, random) {
+    const order = shuffle(agents.slice(), random);
+    const m = Math.max(1, Math.floor(params.edgesPerNode));
+    const edgeSet = new EdgeSet();
+
+    // Every edge endpoint is listed once, so uniform picks are degree-proportional
+    const endpoints = [];
+    const maxWeight = Math.max(params.homophily, 1 - params.homophily);
+
+    // Seed with a small complete graph
+    const seedSize = Math.min(order.length, m + 1);
+    for (let i = 0; i < seedSize; i++) {
+        for (let j = 0; j < i; j++) {
+            edgeSet.add(order[i].id, order[j].id);
+            endpoints.push(order[i], order[j]);
+        }
+    }
+
+    for (let i = seedSize; i < order.length; i++) {
+        const agent = order[i];
+        const isRed = agent.beliefValue < 0;
+        const targets = [];
+
+        for (let attempts = 0; targets.length < m && attempts < 100 * m; attempts++) {
+            const candidate = endpoints.length > 0
+                ? endpoints[Math.floor(random() * endpoints.length)]
+                : order[Math.floor(random() * i)];
+            if (targets.includes(candidate)) continue;
+
+            // Rejection step applies the homophily weight
+            const weight = (candidate.beliefValue < 0) === isRed ? params.homophily : 1 - params.homophily;
+            if (random() * maxWeight < weight) {
+                targets.push(candidate);
+            }
+        }
+
+        targets.forEach(target => {
+            edgeSet.add(agent.id, target.id);
+            endpoints.push(agent, target);
+        });
+    }
+
+    return edgeSet.edges;
+}
+
+/**
+ * Two-dimensional square lattice
+ * Agents are placed on the grid in random order. Homophily does not apply.
+ */
+function lattice(agents, params, random) {
+    const n = agents.length;
+    const width = Math.ceil(Math.sqrt(n));
+    const height = Math.ceil(n / width);
+    const cells = shuffle(agents.slice(), random);
+    const edgeSet = new EdgeSet();
+
+    const offsets = params.neighborhood === 'moore'
+        ? [[1, 0], [0, 1], [1, 1], [1, -1]]
+        : [[1, 0], [0, 1]];
+
+    for (let index = 0; index < n; index++) {
+        const x = index % width;
+        const y = Math.floor(index / width);
+
+        offsets.forEach(([dx, dy]) => {
+            let nx = x + dx;
+            let ny = y + dy;
+            if (params.periodic) {
+                nx = (nx + width) % width;
+                ny = (ny + height) % height;
+            }
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+
+            const neighborIndex = ny * width + nx;
+            if (neighborIndex < n) {
+                edgeSet.add(cells[index].id, cells[neighborIndex].id);
+            }
+        });
+    }
+
+    return edgeSet.edges;
+}
+
+/**
+ * Complete graph: every agent is connected to every other. Homophily does not apply.
+ */
+function completeGraph(agents) {
+    const edgeSet = new EdgeSet();
+    for (let i = 0; i < agents.length; i++) {
+        for (let j = 0; j < i; j++) {
+            edgeSet.add(agents[i].id, agents[j].id);
+        }
+    }
+    return edgeSet.edges;
+}
+
+/**
+ * Stochastic block model
+ * Agents are ordered by opinion and split into equal-sized communities, so communities
+ * follow opinion lines. Within- and between-community probabilities are chosen so that a
+ * fraction h of the expected edges fall inside communities at the requested average degree.
+ */
+function stochasticBlockModel(agents, params, random) {
+    const n = agents.length;
+    const k = Math.max(1, Math.min(n, Math.floor(params.communities)));
+    const ordered = agents.slice().sort((a, b) => a.beliefValue - b.beliefValue);
+    const edgeSet = new EdgeSet();
+
+    const blocks = [];
+    for (let b = 0; b < k; b++) {
+        blocks.push(ordered.slice(Math.round(b * n / k), Math.round((b + 1) * n / k)));
+    }
+
+    // Count the possible pairs within and between blocks
+    let withinPairs = 0;
+    let betweenPairs = 0;
+    for (let a = 0; a < k; a++) {
+        withinPairs += blocks[a].length * (blocks[a].length - 1) / 2;
+        for (let b = a + 1; b < k; b++) {
+            betweenPairs += blocks[a].length * blocks[b].length;
+        }
+    }
+
+    const totalEdges = n * params.averageDegree / 2;
+    const pIn = withinPairs > 0 ? Math.min(1, params.homophily * totalEdges / withinPairs) : 0;
+    const pOut = betweenPairs > 0 ? Math.min(1, (1 - params.homophily) * totalEdges / betweenPairs) : 0;
+
+    for (let a = 0; a < k; a++) {
+        addRandomEdges(edgeSet, blocks[a], blocks[a], pIn, random);
+        for (let b = a + 1; b < k; b++) {
+            addRandomEdges(edgeSet, blocks[a], blocks[b], pOut, random);
+        }
+    }
+
+    return edgeSet.edges;
+}
+
+// Registry of topology generators with their default parameters
+const TOPOLOGIES = {
+    'erdos-renyi': {
+        name: 'Erdős–Rényi random graph',
+        defaults: { averageDegree: 4 },
+        generate: erdosRenyi
+    },
+    'watts-strogatz': {
+        name: 'Watts–Strogatz small world',
+        defaults: { neighbors: 4, rewiringProbability: 0.1 },
+        generate: wattsStrogatz
+    },
+    'barabasi-albert': {
+        name: 'Barabási–Albert scale-free',
+        defaults: { edgesPerNode: 2 },
+        generate: barabasiAlbert
+    },
+    'lattice': {
+        name: '2D lattice',
+        defaults: { neighborhood: 'von-neumann', periodic: true },
+        generate: lattice
+    },
+    'complete': {
+        name: 'Complete graph',
+        defaults: {},
+        generate: completeGraph
+    },
+    'stochastic-block': {
+        name: 'Stochastic block model',
+        defaults: { communities: 2, averageDegree: 4 },
+        generate: stochasticBlockModel
+    }
+};
+
+// Export for Node (CommonJS) or create a global networkModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TOPOLOGIES,
+        EdgeSet,
+        shuffle
+    };
+} else {
+    globalThis.networkModule = {
+        TOPOLOGIES,
+        EdgeSet,
+        shuffle
+    };
+}
@@ -0,0 +1,275 @@
+/**
+ * phase-diagram.js
+ *
+ * This module draws the results of a parameter sweep as a phase diagram using D3.js:
+ * a heatmap of which opinion wins (the probability that blue wins among runs that reached
+ * consensus) over two swept parameters, with a tooltip for each cell. Cells are mixed
+ * towards grey by the share of runs that never reached consensus.
+ */
+
+// Color of cells in which no run reached consensus
+const UNDECIDED_COLOR = '#bbb';
+
+// Display names for swept parameters
+const PARAMETER_LABELS = {
+    redProportion: 'Initial Red Proportion',
+    redZealotFraction: 'Red Zealot Fraction',
+    blueZealotFraction: 'Blue Zealot Fraction',
+    homophily: 'Network Homophily',
+    populationSize: 'Population Size'
+};
+
+/**
+ * PhaseDiagram class to render sweep results as a heatmap
+ */
+class PhaseDiagram {
+    /**
+     * Create a new phase diagram
+     * @param {Object} options - Phase diagram options
+     * @param {string} options.container - ID of the container element
+     * @param {d3.ScaleLinear} options.colorScale - Red/blue color scale over [-1, 1] shared with the visualizer
+     */
+    constructor(options = {}) {
+        this.containerId = options.container || 'phase-diagram-container';
+        this.container = d3.select(`#${this.containerId}`);
+        this.colorScale = options.colorScale || d3.scaleLinear()
+            .domain([-1, 1])
+            .range(['#ef476f', '#00a6fb']);
+
+        this.margin = { top: 20, right: 90, bottom: 50, left: 70 };
+        this.width = this.container.node().clientWidth || 600;
+        this.height = this.container.node().clientHeight || 450;
+
+        this.svg = this.container.append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .style('background-color', '#fff');
+
+        this.plotGroup = this.svg.append('g')
+            .attr('class', 'phase-diagram')
+            .attr('transform', `translate(${this.margin.left}, ${this.margin.top})`);
+
+        this.tooltip = this.container.append('div')
+            .attr('class', 'phase-diagram-tooltip hidden');
+
+        this.setupLegend();
+    }
+
+    /**
+     * Map a probability of blue winning onto the shared red/blue color scale,
+     * mixed towards grey by the share of undecided runs
+     * @param {number} probability - Probability between 0 (red) and 1 (blue)
+     * @param {number} undecidedShare - Share of runs that reached no consensus (0 to 1)
+     * @returns {string} Color
+     */
+    getCellColor(probability, undecidedShare = 0) {
+        const color = this.colorScale(2 * probability - 1);
+        return undecidedShare > 0 ? d3.interpolateRgb(color, UNDECIDED_COLOR)(undecidedShare) : color;
+    }
+
+    /**
+     * Draw the vertical color legend to the right of the heatmap
+     */
+    setupLegend() {
+        const plotHeight = this.height - this.margin.top - this.margin.bottom;
+        const legendX = this.width - this.margin.right + 25;
+
+        const gradient = this.svg.append('defs')
+            .append('linearGradient')
+            .attr('id', 'phase-diagram-gradient')
+            .attr('x1', '0%')
+            .attr('y1', '100%')
+            .attr('x2', '0%')
+            .attr('y2', '0%');
+
+        [0, 0.5, 1].forEach(probability => {
+            gradient.append('stop')
+                .attr('offset', `${probability * 100}%`)
+                .attr('stop-color', this.getCellColor(probability));
+        });
+
+        const legend = this.svg.append('g')
+            .attr('class', 'phase-diagram-legend')
+            .attr('transform', `translate(${legendX}, ${this.margin.top})`);
+
+        legend.append('rect')
+            .attr('width', 12)
+            .attr('height', plotHeight)
+            .attr('fill', 'url(#phase-diagram-gradient)');
+
+        legend.append('g')
+            .attr('transform', 'translate(12, 0)')
+            .call(d3.axisRight(d3.scaleLinear().domain([0, 1]).range([plotHeight, 0]))
+                .ticks(5)
+                .tickFormat(d3.format('.0%')));
+
+        legend.append('text')
+            .attr('class', 'y-axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -plotHeight / 2)
+            .attr('y', -8)
+            .attr('text-anchor', 'middle')
+            .text('P(blue | consensus)');
+
+        // Swatch for cells in which no run reached consensus
+        legend.append('rect')
+            .attr('y', plotHeight + 20)
+            .attr('width', 12)
+            .attr('height', 12)
+            .attr('fill', UNDECIDED_COLOR);
+
+        legend.append('text')
+            .attr('x', 16)
+            .attr('y', plotHeight + 30)
+            .style('font-size', '10px')
+            .text('Undecided');
+    }
+
+    /**
+     * Render sweep results as a heatmap over two parameters
+     * Cells that share x and y values (because a third parameter was also swept) are pooled.
+     *
+     * @param {Object[]} results - Cell results from ParameterSweep
+     * @param {string} xParameter - Parameter on the x-axis
+     * @param {string} yParameter - Parameter on the y-axis
+     */
+    render(results, xParameter, yParameter) {
+        const plotWidth = this.width - this.margin.left - this.margin.right;
+        const plotHeight = this.height - this.margin.top - this.margin.bottom;
+
+        // Pool replicates of cells sharing the same (x, y) values
+        const cellMap = new Map();
+        results.forEach(result => {
+            const x = result.parameters[xParameter];
+            const y = result.parameters[yParameter];
+            const key = `${x}|${y}`;
+
+            if (!cellMap.has(key)) {
+                cellMap.set(key, { x, y, replicates: 0, redWins: 0, blueWins: 0, consensusTimeTotal: 0 });
+            }
+
+            const cell = cellMap.get(key);
+            cell.replicates += result.replicates;
+            cell.redWins += result.redWins;
+            cell.blueWins += result.blueWins;
+            if (result.meanTimeToConsensus !== null) {
+                cell.consensusTimeTotal += result.meanTimeToConsensus * (result.redWins + result.blueWins);
+            }
+        });
+
+        const cells = Array.from(cellMap.values());
+        cells.forEach(cell => {
+            const consensusCount = cell.redWins + cell.blueWins;
+            cell.pBlueConsensus = cell.blueWins / cell.replicates;
+            cell.pBlueGivenConsensus = consensusCount > 0 ? cell.blueWins / consensusCount : 0.5;
+            cell.undecidedShare = (cell.replicates - consensusCount) / cell.replicates;
+            cell.meanTimeToConsensus = consensusCount > 0 ? cell.consensusTimeTotal / consensusCount : null;
+        });
+
+        // Band scales over the distinct swept values
+        const xValues = Array.from(new Set(cells.map(d => d.x))).sort((a, b) => a - b);
+        const yValues = Array.from(new Set(cells.map(d => d.y))).sort((a, b) => a - b);
+
+        const xScale = d3.scaleBand()
+            .domain(xValues)
+            .range([0, plotWidth])
+            .padding(0.05);
+
+        const yScale = d3.scaleBand()
+            .domain(yValues)
+            .range([plotHeight, 0])
+            .padding(0.05);
+
+        const formatValue = value => (Number.isInteger(value) ? value : d3.format('.2f')(value));
+
+        // Redraw axes and labels
+        this.plotGroup.selectAll('.x-axis, .y-axis, .x-axis-label, .y-axis-label').remove();
+
+        this.plotGroup.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${plotHeight})`)
+            .call(d3.axisBottom(xScale).tickFormat(formatValue));
+
+        this.plotGroup.append('g')
+            .attr('class', 'y-axis')
+            .call(d3.axisLeft(yScale).tickFormat(formatValue));
+
+        this.plotGroup.append('text')
+            .attr('class', 'x-axis-label')
+            .attr('x', plotWidth / 2)
+            .attr('y', plotHeight + 40)
+            .attr('text-anchor', 'middle')
+            .text(PARAMETER_LABELS[xParameter] || xParameter);
+
+        this.plotGroup.append('text')
+            .attr('class', 'y-axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -plotHeight / 2)
+            .attr('y', -50)
+            .attr('text-anchor', 'middle')
+            .text(PARAMETER_LABELS[yParameter] || yParameter);
+
+        // Draw heatmap cells
+        const rects = this.plotGroup.selectAll('.phase-cell')
+            .data(cells, d => `${d.x}|${d.y}`);
+
+        rects.exit().remove();
+
+        rects.enter()
+            .append('rect')
+            .attr('class', 'phase-cell')
+            .on('mousemove', (event, d) => this.showTooltip(event, d, xParameter, yParameter))
+            .on('mouseleave', () => this.tooltip.classed('hidden', true))
+            .merge(rects)
+            .attr('x', d => xScale(d.x))
+            .attr('y', d => yScale(d.y))
+            .attr('width', xScale.bandwidth())
+            .attr('height', yScale.bandwidth())
+            .attr('fill', d => this.getCellColor(d.pBlueGivenConsensus, d.undecidedShare));
+    }
+
+    /**
+     * Show the tooltip for a heatmap cell
+     * @param {MouseEvent} event - Mouse event over the cell
+     * @param {Object} cell - Pooled cell data
+     * @param {string} xParameter - Parameter on the x-axis
+     * @param {string} yParameter - Parameter on the y-axis
+     */
+    showTooltip(event, cell, xParameter, yParameter) {
+        const [x, y] = d3.pointer(event, this.container.node());
+        const pBlueGivenConsensus = cell.undecidedShare < 1
+            ? `${Math.round(cell.pBlueGivenConsensus * 100)}%`
+            : 'n/a';
+        const meanTime = cell.meanTimeToConsensus === null
+            ? 'n/a'
+            : `${Math.round(cell.meanTimeToConsensus)} interactions`;
+
+        this.tooltip
+            .classed('hidden', false)
+            .style('left', `${x + 12}px`)
+            .style('top', `${y + 12}px`)
+            .html(`
+                <div>${PARAMETER_LABELS[xParameter] || xParameter}: ${cell.x}</div>
+                <div>${PARAMETER_LABELS[yParameter] || yParameter}: ${cell.y}</div>
+                <div>P(blue | consensus): ${pBlueGivenConsensus}</div>
+                <div>P(blue consensus): ${Math.round(cell.pBlueConsensus * 100)}%</div>
+                <div>Undecided: ${Math.round(cell.undecidedShare * 100)}%</div>
+                <div>Replicates: ${cell.replicates} (red ${cell.redWins}, blue ${cell.blueWins}, none ${cell.replicates - cell.redWins - cell.blueWins})</div>
+                <div>Mean time to consensus: ${meanTime}</div>
+            `);
+    }
+
+    /**
+     * Remove all heatmap cells and axes
+     */
+    reset() {
+        this.plotGroup.selectAll('*').remove();
+        this.tooltip.classed('hidden', true);
+    }
+}
+
+// Create a global phaseDiagramModule object
+window.phaseDiagramModule = {
+    PhaseDiagram,
+    PARAMETER_LABELS
+};
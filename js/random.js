@@ -0,0 +1,118 @@
+/**
+ * random.js
+ *
+ * This module provides a small seedable pseudo-random number generator for the
+ * Opinion Dynamics simulation. Every random draw in the model goes through a single
+ * generator so that the same seed and parameters reproduce the exact same run.
+ */
+
+/**
+ * SeededRandom class implementing the mulberry32 generator (32-bit state)
+ */
+class SeededRandom {
+    /**
+     * Create a new generator
+     * @param {number} seed - Integer seed; any number is reduced to 32 bits
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Draw the next uniform random number
+     * @returns {number} Value in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Draw a random integer
+     * @param {number} n - Exclusive upper bound
+     * @returns {number} Integer in [0, n)
+     */
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    /**
+     * Draw a normally distributed number using the Box-Muller transform
+     * @param {number} mean - Mean of the distribution
+     * @param {number} stdDev - Standard deviation of the distribution
+     * @returns {number} Normally distributed value
+     */
+    normal(mean, stdDev) {
+        let u = 0, v = 0;
+        while (u === 0) u = this.next();
+        while (v === 0) v = this.next();
+        const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+        return mean + z * stdDev;
+    }
+
+    /**
+     * Draw a gamma-distributed number with unit scale (Marsaglia–Tsang method)
+     * @param {number} shape - Shape parameter (> 0)
+     * @returns {number} Gamma-distributed value
+     */
+    gamma(shape) {
+        // Shapes below 1 are boosted by one and scaled back down
+        if (shape < 1) {
+            let u = 0;
+            while (u === 0) u = this.next();
+            return this.gamma(shape + 1) * Math.pow(u, 1 / shape);
+        }
+
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x, v;
+            do {
+                x = this.normal(0, 1);
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            const u = this.next();
+            if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+                return d * v;
+            }
+        }
+    }
+
+    /**
+     * Draw a beta-distributed number
+     * @param {number} alpha - First shape parameter (> 0)
+     * @param {number} beta - Second shape parameter (> 0)
+     * @returns {number} Value in [0, 1]
+     */
+    beta(alpha, beta) {
+        const x = this.gamma(alpha);
+        const y = this.gamma(beta);
+        return x / (x + y);
+    }
+}
+
+/**
+ * Generate a fresh seed for runs that were not given one
+ * @returns {number} Random 32-bit unsigned integer
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Export for Node (CommonJS) or create a global randomModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SeededRandom,
+        generateSeed
+    };
+} else {
+    globalThis.randomModule = {
+        SeededRandom,
+        generateSeed
+    };
+}
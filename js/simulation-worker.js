@@ -0,0 +1,163 @@
+/**
+ * simulation-worker.js
+ *
+ * This is the Web Worker entry point for the Opinion Dynamics simulation. It runs an
+ * OpinionDynamicsSimulation off the main thread and posts a snapshot of its state after
+ * every batch of ticks, so the page stays responsive while the model runs. The opinion
+ * history is sent whole only once; each snapshot carries just the entries recorded since
+ * the previous one, which the main thread pushes into its own copy.
+ *
+ * Messages received:
+ *   { type: 'initialize', config }   Create and initialize a simulation
+ *   { type: 'restore', snapshot }    Create a simulation from a serialize() snapshot
+ *   { type: 'advance', ticks }       Advance by a batch of scheduler ticks
+ *   { type: 'run-to-completion' }    Run until a completion condition is met
+ *   { type: 'serialize', requestId } Serialize the full simulation state
+ *   { type: 'summarize-agent', agentId, requestId }  Summarize an agent's recorded interactions
+ *   { type: 'edit', edit }           Apply an interactive edit (see applyAgentEdit in simulation.js)
+ *
+ * Messages posted:
+ *   { type: 'initialized', config, agents, history, state }  Agents with their network and traits, the history and the initial state
+ *   { type: 'state', state }                         State after a batch or a full run
+ *   { type: 'snapshot', snapshot, requestId }        JSON snapshot from serialize(), with the request's ID
+ *   { type: 'agent-summary', summary, requestId }    Result of the agent's summarizeInteractions(), with the request's ID
+ *   { type: 'edited', state }                        State after an edit
+ *   { type: 'error', message, requestType, requestId }  A message could not be handled, with its type and request ID
+ */
+
+importScripts('random.js', 'update-rules.js', 'traits.js', 'initial-beliefs.js', 'agent.js', 'network.js', 'history.js', 'metrics.js', 'zealot-placement.js', 'simulation.js');
+
+let simulation = null;
+
+/**
+ * Build the state snapshot posted after every batch
+ * @returns {Object} Statistics without the opinion history, the history entries recorded
+ *   since the previous snapshot, and the belief of every agent, in agent order
+ */
+function getWorkerState() {
+    const { opinionHistory, ...statistics } = simulation.getStatistics();
+    return {
+        statistics,
+        historyAppended: simulation.history.takeAppended(),
+        beliefs: simulation.agents.map(agent => agent.beliefValue)
+    };
+}
+
+/**
+ * Post the agents and initial state of a newly created or restored simulation
+ */
+function postInitialized() {
+    simulation.history.trackAppended();
+    self.postMessage({
+        type: 'initialized',
+        config: simulation.config,
+        agents: simulation.agents.map(agent => ({
+            id: agent.id,
+            beliefValue: agent.beliefValue,
+            isZealot: agent.isZealot,
+            neighbors: agent.neighbors,
+            traits: agent.getTraits()
+        })),
+        history: {
+            entries: simulation.history.entries,
+            layout: simulation.history.getLayout(),
+            budget: simulation.history.budget
+        },
+        state: getWorkerState()
+    });
+}
+
+/**
+ * Post an error for a message that could not be handled
+ * @param {Object} message - The message that failed
+ * @param {string} text - Description of the failure
+ */
+function postError(message, text) {
+    self.postMessage({ type: 'error', message: text, requestType: message.type, requestId: message.requestId });
+}
+
+/**
+ * Handle a message from the main thread
+ * @param {Object} message - Message posted by WorkerSimulation
+ */
+function handleMessage(message) {
+    switch (message.type) {
+        case 'initialize':
+            simulation = new simulationModule.OpinionDynamicsSimulation(message.config);
+            simulation.initialize();
+            postInitialized();
+            break;
+
+        case 'restore':
+            simulation = simulationModule.OpinionDynamicsSimulation.deserialize(message.snapshot);
+            if (!simulation) {
+                postError(message, 'Simulation worker could not restore the snapshot');
+                return;
+            }
+            postInitialized();
+            break;
+
+        case 'advance':
+            if (!simulation) {
+                postError(message, 'Simulation worker received advance before initialize');
+                return;
+            }
+            simulation.step(message.ticks, { callbacks: false });
+            self.postMessage({ type: 'state', state: getWorkerState() });
+            break;
+
+        case 'run-to-completion':
+            if (!simulation) {
+                postError(message, 'Simulation worker received run-to-completion before initialize');
+                return;
+            }
+            simulation.runToCompletion();
+            self.postMessage({ type: 'state', state: getWorkerState() });
+            break;
+
+        case 'serialize':
+            if (!simulation) {
+                postError(message, 'Simulation worker received serialize before initialize');
+                return;
+            }
+            self.postMessage({ type: 'snapshot', snapshot: simulation.serialize(), requestId: message.requestId });
+            break;
+
+        case 'summarize-agent': {
+            if (!simulation) {
+                postError(message, 'Simulation worker received summarize-agent before initialize');
+                return;
+            }
+            const agent = simulation.agentMap.get(message.agentId);
+            if (!agent) {
+                postError(message, `Simulation worker has no agent ${message.agentId}`);
+                return;
+            }
+            self.postMessage({ type: 'agent-summary', summary: agent.summarizeInteractions(), requestId: message.requestId });
+            break;
+        }
+
+        case 'edit':
+            if (!simulation) {
+                postError(message, 'Simulation worker received edit before initialize');
+                return;
+            }
+            simulation.applyEdit(message.edit);
+            self.postMessage({ type: 'edited', state: getWorkerState() });
+            break;
+
+        default:
+            postError(message, `Unknown simulation worker message "${message.type}"`);
+    }
+}
+
+self.onmessage = function(event) {
+    const message = event.data;
+
+    // Report failures so the page does not wait for a reply that never comes
+    try {
+        handleMessage(message);
+    } catch (error) {
+        postError(message, `Simulation worker failed to handle "${message.type}": ${error.message}`);
+    }
+};
@@ -6,6 +6,118 @@
  * the evolution of opinions over time.
  */
 
+// Load dependencies in Node; in the browser they are globals created by earlier scripts
+var randomModule = typeof module !== 'undefined' && module.exports ? require('./random.js') : globalThis.randomModule;
+var agentModule = typeof module !== 'undefined' && module.exports ? require('./agent.js') : globalThis.agentModule;
+var networkModule = typeof module !== 'undefined' && module.exports ? require('./network.js') : globalThis.networkModule;
+var updateRulesModule = typeof module !== 'undefined' && module.exports ? require('./update-rules.js') : globalThis.updateRulesModule;
+var historyModule = typeof module !== 'undefined' && module.exports ? require('./history.js') : globalThis.historyModule;
+var metricsModule = typeof module !== 'undefined' && module.exports ? require('./metrics.js') : globalThis.metricsModule;
+var traitsModule = typeof module !== 'undefined' && module.exports ? require('./traits.js') : globalThis.traitsModule;
+var initialBeliefsModule = typeof module !== 'undefined' && module.exports ? require('./initial-beliefs.js') : globalThis.initialBeliefsModule;
+var zealotPlacementModule = typeof module !== 'undefined' && module.exports ? require('./zealot-placement.js') : globalThis.zealotPlacementModule;
+
+// Update schedulers: the first is the default
+// - random-sequential: one random pair interacts per tick
+// - random-sweep: every agent initiates one interaction per time step, in a fresh random order
+// - synchronous: every agent updates once per time step from a snapshot of the previous step
+const SCHEDULERS = ['random-sequential', 'random-sweep', 'synchronous'];
+
+// Pairing policies: how an agent's interaction partner is chosen, with their default parameters
+const PAIRING_POLICIES = {
+    'mixed': {
+        name: 'Neighbors, sometimes anyone reachable (default)',
+        defaults: { indirectProbability: 0.3 }
+    },
+    'neighbors': {
+        name: 'Neighbors only',
+        defaults: {}
+    },
+    'hops': {
+        name: 'Anyone within a hop limit',
+        defaults: { maxHops: 2 }
+    },
+    'distance-decay': {
+        name: 'Probability decaying with distance',
+        defaults: { maxHops: 4, decayRate: 0.5 }
+    },
+    'well-mixed': {
+        name: 'Anyone (well-mixed)',
+        defaults: {}
+    }
+};
+
+const DEFAULT_PAIRING_POLICY = 'mixed';
+
+// Snapshot documents written by serialize(); bump the version when their layout changes
+// Version 2 added the history layout, metric state, agent traits, initial beliefs and interaction histories.
+// Version 3 caps each agent's interaction history at interactionHistoryLimit entries and records zealot counts in history entries.
+const SNAPSHOT_FORMAT = 'social-consensus-snapshot';
+const SNAPSHOT_VERSION = 3;
+
+/**
+ * Apply an interactive edit to a set of agents, leaving any state derived from them to the caller
+ * Edits:
+ *   { type: 'setZealot', agentId, isZealot }       Make an agent a zealot or an ordinary agent
+ *   { type: 'setBelief', agentId, beliefValue }    Move an agent's belief (clipped to [-1, 1])
+ *   { type: 'addEdge', agentId, neighborId }       Link two agents; in a directed network agentId follows neighborId
+ *   { type: 'removeEdge', agentId, neighborId }    Remove that link
+ *
+ * @param {Agent[]} agents - Agents to edit
+ * @param {Map} agentMap - Agent ID -> agent
+ * @param {Object} edit - Edit to apply
+ * @param {boolean} directed - Whether links are one-way
+ * @returns {boolean} True if the agents changed
+ */
+function applyAgentEdit(agents, agentMap, edit, directed) {
+    const agent = agentMap.get(edit.agentId);
+    if (!agent) {
+        console.warn(`Cannot edit unknown agent ${edit.agentId}`);
+        return false;
+    }
+    
+    switch (edit.type) {
+        case 'setZealot':
+            if (agent.isZealot === !!edit.isZealot) return false;
+            agent.setZealot(!!edit.isZealot);
+            return true;
+        
+        case 'setBelief':
+            if (!Number.isFinite(edit.beliefValue)) {
+                console.warn(`Invalid belief for agent ${agent.id}: ${edit.beliefValue}`);
+                return false;
+            }
+            agent.beliefValue = Math.max(-1, Math.min(1, edit.beliefValue));
+            return true;
+        
+        case 'addEdge':
+        case 'removeEdge': {
+            const neighbor = agentMap.get(edit.neighborId);
+            if (!neighbor || neighbor === agent) {
+                console.warn(`Cannot link agent ${agent.id} to agent ${edit.neighborId}`);
+                return false;
+            }
+            
+            const adding = edit.type === 'addEdge';
+            if (agent.neighbors.includes(neighbor.id) === adding) return false;
+            
+            const ends = directed ? [[agent, neighbor]] : [[agent, neighbor], [neighbor, agent]];
+            ends.forEach(([from, to]) => {
+                if (adding) {
+                    from.neighbors.push(to.id);
+                } else {
+                    from.neighbors.splice(from.neighbors.indexOf(to.id), 1);
+                }
+            });
+            return true;
+        }
+        
+        default:
+            console.error(`Unknown agent edit "${edit.type}"`);
+            return false;
+    }
+}
+
 /**
  * OpinionDynamicsSimulation class to manage the entire simulation process
  */
@@ -15,118 +127,392 @@ class OpinionDynamicsSimulation {
      * @param {Object} config - Simulation configuration
      * @param {number} config.populationSize - Total number of agents in the simulation
      * @param {number} config.redProportion - Initial proportion of agents with red opinion (0-1)
-     * @param {number} config.zealotFraction - Fraction of red agents that are zealots (0-1)
-     * @param {number} config.simulationSpeed - Speed of the simulation (1-10)
+     * @param {number} config.redZealotFraction - Fraction of red agents that are zealots (0-1)
+     * @param {number} config.blueZealotFraction - Fraction of blue agents that are zealots (0-1)
+     * @param {Object} [config.initialBeliefs] - Initial belief distribution of each group, { red, blue }: { type, ...params } with
+     *   type a key of initialBeliefsModule.INITIAL_BELIEF_DISTRIBUTIONS (default normal around ±0.5 with standard deviation 0.2)
+     * @param {Object} [config.zealotBeliefs] - Fixed belief of each group's zealots, { red, blue } (default: their drawn beliefs)
+     * @param {string} [config.zealotPlacement] - Which group members are zealots: a key of zealotPlacementModule.ZEALOT_PLACEMENTS
+     *   (default 'extreme', the most extreme initial beliefs)
+     * @param {number} config.simulationSpeed - Animation speed level (1-10) chosen in the web interface; the model itself ignores it
+     * @param {number} [config.seed] - Seed for the random number generator; a random seed is chosen if omitted
+     * @param {boolean} [config.verbose] - Whether to log network and completion messages to the console (default true)
+     * @param {string} [config.topology] - Network topology: 'homophily' (default) or a key of networkModule.TOPOLOGIES
+     * @param {Object} [config.topologyParams] - Parameters for the topology generator, overriding its defaults
+     * @param {boolean} [config.directed] - Build a directed (follower-style) network instead of an undirected one (default false)
+     * @param {string} [config.updateRule] - Belief-update rule: a key of updateRulesModule.UPDATE_RULES (default 'susceptibility')
+     * @param {Object} [config.updateRuleParams] - Parameters for the update rule, overriding its defaults
+     * @param {number} [config.baseInfluenceRate] - Maximum belief change per interaction in the default rule (0-1, default 0.1)
+     * @param {number} [config.persuasivenessWeight] - Weight w of the persuasiveness factor (1 - w × |other belief|) (0-1, default 1.0)
+     * @param {number} [config.zealotInfluenceProbability] - Probability of adopting a zealot's belief on interaction (0-1, default 1.0)
+     * @param {Object} [config.traitDistributions] - Distribution of each agent trait, keyed like traitsModule.TRAITS:
+     *   { type, ...params } with type a key of traitsModule.TRAIT_DISTRIBUTIONS; missing traits are constant at their default
+     * @param {number} [config.maxInteractions] - Stop after this many interactions (at least 1, default 5000)
+     * @param {number} [config.dominanceThreshold] - Stop once one opinion holds at least this fraction of agents (0.5-1, default 1 = unanimity)
+     * @param {number} [config.stagnationWindow] - Stop when the red proportion stays within stagnationTolerance for this many interactions (default 0 = off)
+     * @param {number} [config.stagnationTolerance] - Largest change in red proportion that still counts as stagnant (default 0.01)
+     * @param {number} [config.maxWallClockMs] - Stop after this many milliseconds of running time (default 0 = no limit)
+     * @param {string} [config.scheduler] - Update scheduler: one of SCHEDULERS (default 'random-sequential')
+     * @param {string} [config.pairingPolicy] - How partners are chosen: a key of PAIRING_POLICIES (default 'mixed')
+     * @param {Object} [config.pairingParams] - Pairing parameters overriding the policy defaults:
+     *   indirectProbability (0-1), maxHops (integer >= 1) and decayRate (0-1)
+     * @param {number} [config.historyBudget] - History entries kept at full resolution before older ones are downsampled (default 2000)
+     * @param {number} [config.metricsInterval] - Interactions between updates of the network metrics (cross-opinion links,
+     *   clusters), which cost O(n + e) each (default populationSize, i.e. once per time step)
+     * @param {number} [config.interactionHistoryLimit] - Latest interactions each agent keeps for the inspector and snapshots
+     *   (default 500, 0 = none)
      */
     constructor(config) {
         this.config = config;
         this.agents = [];
         this.isRunning = false;
         this.isComplete = false;
+        this.completionReason = null; // Which stop criterion ended the run
         this.interactionCount = 0;
+        this.timeStep = 0; // Completed time steps; fractional under random-sequential (interactions / population)
+        this.scheduler = null;
+        this.pairing = null; // Resolved pairing policy and parameters
         this.opinionCounts = { red: 0, blue: 0 };
-        this.opinionHistory = []; // Track opinion counts over time
+        this.beliefPowerSums = [0, 0, 0, 0]; // Σb, Σb², Σb³, Σb⁴, kept up to date for the belief metrics
+        this.flipsSinceRecord = 0; // Opinion changes since the last history entry
+        this.networkMetrics = null; // Latest cross-opinion link fraction and cluster count
+        this.networkMetricsAt = null; // Interaction count when networkMetrics was computed
+        this.history = new historyModule.OpinionHistory(); // Track opinion counts over time
         this.currentPairing = null;
+        this.agentMap = new Map(); // Agent ID -> agent
+        this.agentIndex = new Map(); // Agent ID -> index in this.agents
+        this.components = null; // Connected components of an undirected network, built on demand
+        this.reachability = null; // Reachable agents per strongly connected component of a directed network, built on demand
+        this.zealotCounts = { red: 0, blue: 0 }; // Zealots never change opinion, so these are counted once
+        this.stopCriteria = null; // Validated stop criteria, resolved in initialize()
+        this.metricsInterval = null; // Interactions between network metric updates, resolved in initialize()
+        this.interactionHistoryLimit = null; // Interactions kept per agent, resolved in initialize()
+        this.runningTime = 0; // Milliseconds spent running, excluding time between calls (e.g. while paused)
+        this.activeSince = null; // Wall-clock time the current call into the simulation started, while one runs
+        this.stagnationReference = null; // Red proportion and interaction count when the current stagnant stretch began
+        
+        // Random number generator shared by every random draw in the model
+        this.seed = null;
+        this.rng = null;
+        this.random = () => this.rng.next();
+        
+        // Belief-update rule applied by every agent
+        this.updateRule = null;
         
         // Event callbacks
         this.onInteractionComplete = null;
         this.onSimulationComplete = null;
         this.onProgressUpdate = null;
+        this.callbacksEnabled = true; // Switched off by step() and runToCompletion() for speed
     }
     
     /**
      * Initialize the simulation by creating agents based on parameters
      */
     initialize() {
+        this.resetState();
+        this.resolveConfiguration();
+        
+        // Seed the random number generator so the same seed reproduces the same run
+        this.seed = this.config.seed !== undefined && this.config.seed !== null
+            ? this.config.seed >>> 0
+            : randomModule.generateSeed();
+        this.rng = new randomModule.SeededRandom(this.seed);
+        
+        // Resolve the constants of the default update rule
+        const zealotInfluenceProbability = this.getNumericConfig('zealotInfluenceProbability', 1.0, 0, 1);
+        const influenceParams = {
+            baseInfluenceRate: this.getNumericConfig('baseInfluenceRate', 0.1, 0, 1),
+            persuasivenessWeight: this.getNumericConfig('persuasivenessWeight', 1.0, 0, 1)
+        };
+        
+        // Draw the initial beliefs and choose the zealots of both groups
+        const initialStates = initialBeliefsModule.createInitialBeliefs(this.config, this.rng);
+        const groups = initialStates.map(initial => initial.group);
+        initialStates.forEach(initial => {
+            const agent = new agentModule.Agent(
+                initial.beliefValue,
+                initial.isZealot,
+                initial.id,
+                [],
+                zealotInfluenceProbability,
+                influenceParams
+            );
+            agent.interactionHistoryLimit = this.interactionHistoryLimit;
+            this.agents.push(agent);
+        });
+        
+        // Index agents by ID so lookups in the interaction loop are constant time
+        this.buildAgentIndex();
+        
+        // Set up network connections for the configured topology
+        this.setupNetwork();
+        
+        // Choose the zealots' network positions, then move them to any configured zealot belief
+        zealotPlacementModule.placeZealots(this.agents, this.agentIndex, groups, this.config.zealotPlacement, this.random);
+        initialBeliefsModule.applyZealotBeliefs(this.agents, groups, this.config.zealotBeliefs);
+        this.agents.forEach(agent => {
+            if (agent.isZealot) agent.initialBelief = agent.beliefValue;
+        });
+        
+        // Draw the agent traits after the network, so they leave beliefs and links unchanged for a given seed
+        this.assignTraits();
+        
+        // Update initial opinion and zealot counts
+        this.updateOpinionCounts();
+        this.updateZealotCounts();
+        
+        // Record initial state
+        this.recordOpinionState();
+    }
+    
+    /**
+     * Clear the run state before agents are created or restored
+     */
+    resetState() {
         this.agents = [];
         this.isRunning = false;
         this.isComplete = false;
+        this.completionReason = null;
         this.interactionCount = 0;
+        this.timeStep = 0;
         this.opinionCounts = { red: 0, blue: 0 };
-        this.opinionHistory = [];
+        this.history = new historyModule.OpinionHistory({
+            budget: this.getNumericConfig('historyBudget', 2000, 16, Infinity)
+        });
         this.currentPairing = null;
-        
-        // Calculate agent counts
-        const totalAgents = this.config.populationSize;
-        const redAgents = Math.round(totalAgents * this.config.redProportion);
-        const blueAgents = totalAgents - redAgents;
-        
-        // Calculate zealot counts for both red and blue
-        const redZealotCount = Math.round(redAgents * this.config.redZealotFraction);
-        const blueZealotCount = Math.round(blueAgents * this.config.blueZealotFraction);
-        
-        // Helper function for normal distribution
-        const normalRandom = (mean, stdDev) => {
-            // Box-Muller transform
-            let u = 0, v = 0;
-            while(u === 0) u = Math.random();
-            while(v === 0) v = Math.random();
-            const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-            return mean + z * stdDev;
+        this.runningTime = 0;
+        this.activeSince = null;
+        this.stagnationReference = null;
+        this.flipsSinceRecord = 0;
+        this.networkMetrics = null;
+        this.networkMetricsAt = null;
+    }
+    
+    /**
+     * Resolve the stop criteria, scheduler, pairing policy and update rule from the configuration
+     */
+    resolveConfiguration() {
+        // Resolve the stop criteria once so invalid values are reported a single time
+        this.stopCriteria = {
+            maxInteractions: this.getNumericConfig('maxInteractions', 5000, 1, Infinity),
+            dominanceThreshold: this.getNumericConfig('dominanceThreshold', 1, 0.5, 1),
+            stagnationWindow: this.getNumericConfig('stagnationWindow', 0, 0, Infinity),
+            stagnationTolerance: this.getNumericConfig('stagnationTolerance', 0.01, 0, 1),
+            maxWallClockMs: this.getNumericConfig('maxWallClockMs', 0, 0, Infinity)
         };
         
-        // Generate red agents with normally distributed beliefs
-        let redAgentBeliefs = [];
-        for (let i = 0; i < redAgents; i++) {
-            // Generate belief values normally distributed around -0.5
-            let beliefValue = normalRandom(-0.5, 0.2);
-            // Ensure values stay between -1 and 0
-            beliefValue = Math.max(-1, Math.min(0, beliefValue));
-            redAgentBeliefs.push({
-                beliefValue: beliefValue,
-                id: i
-            });
+        // Resolve the update scheduler
+        this.scheduler = this.config.scheduler || SCHEDULERS[0];
+        if (!SCHEDULERS.includes(this.scheduler)) {
+            console.error(`Unknown scheduler "${this.scheduler}", using ${SCHEDULERS[0]}`);
+            this.scheduler = SCHEDULERS[0];
         }
         
-        // Sort red agents by belief strength (most extreme first)
-        redAgentBeliefs.sort((a, b) => Math.abs(a.beliefValue) - Math.abs(b.beliefValue));
-        redAgentBeliefs.reverse();
-        
-        // Create red agents (assign zealot status to top n%)
-        for (let i = 0; i < redAgentBeliefs.length; i++) {
-            const isZealot = i < redZealotCount;
-            this.agents.push(new agentModule.Agent(
-                redAgentBeliefs[i].beliefValue, 
-                isZealot, 
-                redAgentBeliefs[i].id
-            ));
-        }
-        
-        // Generate blue agents with normally distributed beliefs
-        let blueAgentBeliefs = [];
-        for (let i = 0; i < blueAgents; i++) {
-            // Generate belief values normally distributed around +0.5
-            let beliefValue = normalRandom(0.5, 0.2);
-            // Ensure values stay between 0 and 1
-            beliefValue = Math.max(0, Math.min(1, beliefValue));
-            blueAgentBeliefs.push({
-                beliefValue: beliefValue,
-                id: redAgents + i
+        // Resolve the pairing policy
+        this.pairing = this.resolvePairingPolicy();
+        
+        // Resolve the belief-update rule
+        this.updateRule = updateRulesModule.createUpdateRule(this.config.updateRule, this.config.updateRuleParams);
+        
+        // Network metrics are refreshed once per time step by default, so they cost O(1) per interaction on average
+        this.metricsInterval = this.getNumericConfig('metricsInterval', Math.max(10, this.config.populationSize || 0), 1, Infinity);
+        
+        // Every interaction adds an entry to both agents' histories, so each agent keeps only the latest
+        this.interactionHistoryLimit = this.getNumericConfig('interactionHistoryLimit',
+            agentModule.DEFAULT_INTERACTION_HISTORY_LIMIT, 0, Infinity);
+    }
+    
+    /**
+     * Draw every agent's traits from the configured distributions
+     * Constant distributions draw no random numbers, so runs without trait distributions keep their random stream.
+     */
+    assignTraits() {
+        const distributions = this.config.traitDistributions || {};
+        Object.keys(distributions).forEach(traitName => {
+            if (!traitsModule.TRAITS[traitName]) {
+                console.warn(`Unknown agent trait "${traitName}" ignored`);
+            }
+        });
+        
+        const samplers = Object.keys(traitsModule.TRAITS).map(traitName =>
+            traitsModule.createTraitSampler(traitName, distributions[traitName]));
+        this.agents.forEach(agent => {
+            const traits = {};
+            samplers.forEach(sampler => {
+                traits[sampler.trait] = traitsModule.sampleTrait(sampler, this.rng);
             });
+            agent.setTraits(traits);
+        });
+    }
+    
+    /**
+     * Build the ID -> agent and ID -> index maps used by every lookup in the simulation
+     */
+    buildAgentIndex() {
+        this.agentMap = new Map();
+        this.agentIndex = new Map();
+        this.agents.forEach((agent, index) => {
+            this.agentMap.set(agent.id, agent);
+            this.agentIndex.set(agent.id, index);
+        });
+    }
+    
+    /**
+     * Read a numeric configuration field, falling back to its default when it is
+     * missing or outside the allowed range
+     * @param {string} name - Configuration field name
+     * @param {number} defaultValue - Value used when the field is missing or invalid
+     * @param {number} min - Smallest allowed value
+     * @param {number} max - Largest allowed value
+     * @param {Object} source - Object holding the field (default: the simulation config)
+     * @returns {number} The validated value
+     */
+    getNumericConfig(name, defaultValue, min, max, source = this.config) {
+        const value = source[name];
+        if (value === undefined || value === null) {
+            return defaultValue;
         }
         
-        // Sort blue agents by belief strength (most extreme first)
-        blueAgentBeliefs.sort((a, b) => Math.abs(a.beliefValue) - Math.abs(b.beliefValue));
-        blueAgentBeliefs.reverse();
+        if (typeof value !== 'number' || isNaN(value) || value < min || value > max) {
+            console.warn(`Invalid ${name}: ${value} (expected a number from ${min} to ${max}), using ${defaultValue}`);
+            return defaultValue;
+        }
         
-        // Create blue agents (assign zealot status to top n%)
-        for (let i = 0; i < blueAgentBeliefs.length; i++) {
-            const isZealot = i < blueZealotCount;
-            this.agents.push(new agentModule.Agent(
-                blueAgentBeliefs[i].beliefValue, 
-                isZealot, 
-                blueAgentBeliefs[i].id
-            ));
+        return value;
+    }
+    
+    /**
+     * Resolve the configured pairing policy and validate its parameters
+     * @returns {Object} Policy ID and merged parameters
+     */
+    resolvePairingPolicy() {
+        let policy = this.config.pairingPolicy || DEFAULT_PAIRING_POLICY;
+        if (!PAIRING_POLICIES[policy]) {
+            console.error(`Unknown pairing policy "${policy}", using ${DEFAULT_PAIRING_POLICY}`);
+            policy = DEFAULT_PAIRING_POLICY;
         }
         
-        // Set up network connections with homophily
-        this.setupNetworkWithHomophily();
+        const defaults = PAIRING_POLICIES[policy].defaults;
+        const overrides = this.config.pairingParams || {};
+        const params = {};
+        if ('indirectProbability' in defaults) {
+            params.indirectProbability = this.getNumericConfig('indirectProbability', defaults.indirectProbability, 0, 1, overrides);
+        }
+        if ('maxHops' in defaults) {
+            params.maxHops = Math.floor(this.getNumericConfig('maxHops', defaults.maxHops, 1, Infinity, overrides));
+        }
+        if ('decayRate' in defaults) {
+            params.decayRate = this.getNumericConfig('decayRate', defaults.decayRate, 0, 1, overrides);
+        }
         
-        // Update initial opinion counts
-        this.updateOpinionCounts();
+        return { policy, params };
+    }
+    
+    /**
+     * Set up network connections using the configured topology generator
+     */
+    setupNetwork() {
+        const topologyName = this.config.topology || 'homophily';
         
-        // Record initial state
-        this.recordOpinionState();
+        // The original recipe: each agent picks 1-3 neighbors with homophily
+        if (topologyName === 'homophily') {
+            this.setupNetworkWithHomophily();
+            return;
+        }
+        
+        const topology = networkModule.TOPOLOGIES[topologyName];
+        if (!topology) {
+            console.error(`Unknown network topology "${topologyName}", using homophily network`);
+            this.setupNetworkWithHomophily();
+            return;
+        }
+        
+        const params = this.resolveTopologyParams(topologyName, topology.defaults);
+        this.applyEdges(topology.generate(this.agents, params, this.random));
+        
+        // Log network statistics for debugging
+        this.logNetworkStatistics();
+    }
+    
+    /**
+     * Validate the topology parameters against the generator's defaults and the population size
+     * @param {string} topologyName - Key of networkModule.TOPOLOGIES
+     * @param {Object} defaults - Default parameters of the generator
+     * @returns {Object} Parameters for the generator, including homophily
+     */
+    resolveTopologyParams(topologyName, defaults) {
+        const overrides = this.config.topologyParams || {};
+        const maxDegree = Math.max(1, this.agents.length - 1);
+        
+        // A homophily in topologyParams overrides the one in the configuration
+        const homophily = this.getNumericConfig('homophily', 0.5, 0, 1);
+        const params = { homophily: this.getNumericConfig('homophily', homophily, 0, 1, overrides) };
+        if ('averageDegree' in defaults) {
+            params.averageDegree = this.getNumericConfig('averageDegree', defaults.averageDegree, 0, maxDegree, overrides);
+        }
+        if ('neighbors' in defaults) {
+            params.neighbors = Math.floor(this.getNumericConfig('neighbors', defaults.neighbors, 2, Math.max(2, maxDegree), overrides));
+        }
+        if ('rewiringProbability' in defaults) {
+            params.rewiringProbability = this.getNumericConfig('rewiringProbability', defaults.rewiringProbability, 0, 1, overrides);
+        }
+        if ('edgesPerNode' in defaults) {
+            params.edgesPerNode = Math.floor(this.getNumericConfig('edgesPerNode', defaults.edgesPerNode, 1, maxDegree, overrides));
+        }
+        if ('communities' in defaults) {
+            params.communities = Math.floor(this.getNumericConfig('communities', defaults.communities, 1, Math.max(1, this.agents.length), overrides));
+        }
+        if ('neighborhood' in defaults) {
+            params.neighborhood = overrides.neighborhood ?? defaults.neighborhood;
+            if (params.neighborhood !== 'von-neumann' && params.neighborhood !== 'moore') {
+                console.warn(`Invalid neighborhood for the ${topologyName} topology: ${params.neighborhood}, using ${defaults.neighborhood}`);
+                params.neighborhood = defaults.neighborhood;
+            }
+        }
+        if ('periodic' in defaults) {
+            params.periodic = overrides.periodic ?? defaults.periodic;
+            if (typeof params.periodic !== 'boolean') {
+                console.warn(`Invalid periodic for the ${topologyName} topology: ${params.periodic}, using ${defaults.periodic}`);
+                params.periodic = defaults.periodic;
+            }
+        }
+        return params;
+    }
+    
+    /**
+     * Replace every agent's neighbor list with the given edges
+     * In an undirected network each edge is stored in both endpoints' lists. In a directed
+     * network an edge [a, b] means "a follows b" and is stored only in a's list, so a is
+     * influenced by b and can pick b as an interaction partner.
+     *
+     * @param {Array<number[]>} edges - Edges as [agentId, neighborId] pairs
+     */
+    applyEdges(edges) {
+        const directed = this.config.directed === true;
+        const neighborSets = new Map();
+        
+        this.agents.forEach(agent => {
+            neighborSets.set(agent.id, new Set());
+            agent.neighbors = [];
+        });
+        
+        // The network changed, so any cached components are stale
+        this.components = null;
+        this.reachability = null;
+        
+        const addNeighbor = (fromId, toId) => {
+            if (fromId === toId || neighborSets.get(fromId).has(toId)) return;
+            neighborSets.get(fromId).add(toId);
+            this.agentMap.get(fromId).neighbors.push(toId);
+        };
+        
+        edges.forEach(([id1, id2]) => {
+            addNeighbor(id1, id2);
+            if (!directed) {
+                addNeighbor(id2, id1);
+            }
+        });
     }
     
     /**
@@ -134,7 +520,7 @@ class OpinionDynamicsSimulation {
      */
     setupNetworkWithHomophily() {
         const totalAgents = this.agents.length;
-        const homophily = this.config.homophily || 0.5;
+        const homophily = this.getNumericConfig('homophily', 0.5, 0, 1);
         
         // Create arrays of red and blue agent IDs for easier selection
         const redAgentIds = this.agents
@@ -145,12 +531,13 @@ class OpinionDynamicsSimulation {
             .filter(agent => agent.opinion === agentModule.BLUE)
             .map(agent => agent.id);
         
-        // Set up connections for each agent
+        // Set up connections for each agent, collecting each agent's chosen neighbors as edges
+        const edges = [];
         this.agents.forEach(agent => {
             const neighbors = [];
             
             // Determine number of connections for this agent (between 1-3)
-            let connectionCount = Math.floor(Math.random() * 3) + 1;
+            let connectionCount = Math.floor(this.random() * 3) + 1;
             
             // Try to add the desired number of connections
             let attempts = 0;
@@ -160,7 +547,7 @@ class OpinionDynamicsSimulation {
                 attempts++;
                 
                 // Determine if this connection should be homophilic (same opinion)
-                let targetSameOpinion = Math.random() < homophily;
+                let targetSameOpinion = this.random() < homophily;
                 
                 // Select a neighbor based on homophily preference
                 let neighborId;
@@ -173,7 +560,7 @@ class OpinionDynamicsSimulation {
                         // Select random agent with same opinion (excluding self)
                         let index;
                         do {
-                            index = Math.floor(Math.random() * potentialNeighbors.length);
+                            index = Math.floor(this.random() * potentialNeighbors.length);
                             neighborId = potentialNeighbors[index];
                         } while (neighborId === agent.id || neighbors.includes(neighborId));
                     } else {
@@ -187,7 +574,7 @@ class OpinionDynamicsSimulation {
                     
                     if (potentialNeighbors.length > 0) { // Ensure there are agents with opposite opinion
                         // Select random agent with opposite opinion
-                        const index = Math.floor(Math.random() * potentialNeighbors.length);
+                        const index = Math.floor(this.random() * potentialNeighbors.length);
                         neighborId = potentialNeighbors[index];
                         if (neighbors.includes(neighborId)) {
                             continue;
@@ -247,13 +634,26 @@ class OpinionDynamicsSimulation {
                 }
             }
             
-            agent.neighbors = neighbors;
+            neighbors.forEach(neighborId => edges.push([agent.id, neighborId]));
         });
         
+        // Store the edges (symmetrically unless the network is directed)
+        this.applyEdges(edges);
+        
         // Log network statistics for debugging
         this.logNetworkStatistics();
     }
     
+    /**
+     * Log a message to the console unless the simulation is configured to be quiet
+     * @param {string} message - Message to log
+     */
+    log(message) {
+        if (this.config.verbose !== false) {
+            console.log(message);
+        }
+    }
+    
     /**
      * Log statistics about the network connections
      */
@@ -261,10 +661,14 @@ class OpinionDynamicsSimulation {
         let sameOpinionConnections = 0;
         let differentOpinionConnections = 0;
         let totalConnections = 0;
+        const directed = this.config.directed === true;
         
         this.agents.forEach(agent => {
             agent.neighbors.forEach(neighborId => {
-                const neighbor = this.agents.find(a => a.id === neighborId);
+                // Count each undirected edge once
+                if (!directed && neighborId < agent.id) return;
+                
+                const neighbor = this.agentMap.get(neighborId);
                 if (neighbor) {
                     totalConnections++;
                     if (agent.opinion === neighbor.opinion) {
@@ -276,23 +680,66 @@ class OpinionDynamicsSimulation {
             });
         });
         
-        console.log("Network Statistics:");
-        console.log(`Total connections: ${totalConnections}`);
-        console.log(`Same opinion connections: ${sameOpinionConnections} (${(sameOpinionConnections / totalConnections * 100).toFixed(2)}%)`);
-        console.log(`Different opinion connections: ${differentOpinionConnections} (${(differentOpinionConnections / totalConnections * 100).toFixed(2)}%)`);
+        this.log("Network Statistics:");
+        this.log(`Total connections: ${totalConnections} (${directed ? 'directed' : 'undirected'})`);
+        this.log(`Same opinion connections: ${sameOpinionConnections} (${(sameOpinionConnections / totalConnections * 100).toFixed(2)}%)`);
+        this.log(`Different opinion connections: ${differentOpinionConnections} (${(differentOpinionConnections / totalConnections * 100).toFixed(2)}%)`);
         
         // Log homophily settings
-        console.log(`Homophily setting: ${this.config.homophily}`);
+        this.log(`Homophily setting: ${this.config.homophily}`);
     }
     
     /**
-     * Update counts of agents with each opinion
+     * Update counts of agents with each opinion, and the belief power sums behind the belief metrics
      */
     updateOpinionCounts() {
         this.opinionCounts = {
             red: this.agents.filter(agent => agent.opinion === agentModule.RED).length,
             blue: this.agents.filter(agent => agent.opinion === agentModule.BLUE).length
         };
+        this.beliefPowerSums = metricsModule.getBeliefPowerSums(this.agents);
+    }
+    
+    /**
+     * Recompute the network metrics, which need a pass over every link
+     */
+    updateNetworkMetrics() {
+        this.networkMetrics = {
+            crossEdgeFraction: metricsModule.getCrossEdgeFraction(this.agents, this.agentIndex),
+            clusterCount: metricsModule.countOpinionClusters(this.agents, this.agentIndex)
+        };
+        this.networkMetricsAt = this.interactionCount;
+    }
+    
+    /**
+     * Update counts of zealots with each opinion
+     */
+    updateZealotCounts() {
+        this.zealotCounts = {
+            red: this.agents.filter(agent => agent.isZealot && agent.opinion === agentModule.RED).length,
+            blue: this.agents.filter(agent => agent.isZealot && agent.opinion === agentModule.BLUE).length
+        };
+    }
+    
+    /**
+     * Move one agent between the opinion counts after its opinion flipped
+     * @param {string} opinionBefore - Opinion before the update
+     * @param {string} opinionAfter - Opinion after the update
+     */
+    shiftOpinionCount(opinionBefore, opinionAfter) {
+        this.opinionCounts = {
+            ...this.opinionCounts,
+            [opinionBefore]: this.opinionCounts[opinionBefore] - 1,
+            [opinionAfter]: this.opinionCounts[opinionAfter] + 1
+        };
+    }
+    
+    /**
+     * Recorded opinion states covering the whole run, oldest first
+     * @returns {Object[]} History entries; older ones are downsampled once the history budget is reached
+     */
+    get opinionHistory() {
+        return this.history.entries;
     }
     
     /**
@@ -307,30 +754,45 @@ class OpinionDynamicsSimulation {
         const redProportion = redCount / totalAgents;
         const blueProportion = blueCount / totalAgents;
         
-        // Add to history
-        this.opinionHistory.push({
+        // Network metrics are only refreshed every metricsInterval interactions
+        const networkMetricsDue = this.networkMetricsAt === null
+            || this.interactionCount - this.networkMetricsAt >= this.metricsInterval;
+        if (networkMetricsDue) {
+            this.updateNetworkMetrics();
+        }
+        
+        // Add to history; the store downsamples older entries once it is over budget
+        this.history.push({
             interactionCount: this.interactionCount,
+            timeStep: this.timeStep,
             redCount,
             blueCount,
             redProportion,
-            blueProportion
+            blueProportion,
+            ...metricsModule.describeBeliefs(this.beliefPowerSums, totalAgents),
+            flips: this.flipsSinceRecord,
+            redZealotCount: this.zealotCounts.red,
+            blueZealotCount: this.zealotCounts.blue,
+            ...(networkMetricsDue ? this.networkMetrics : {})
         });
-        
-        // Keep history from growing too large by removing oldest entries
-        if (this.opinionHistory.length > 1000) {
-            this.opinionHistory = this.opinionHistory.slice(-1000);
-        }
+        this.flipsSinceRecord = 0;
     }
     
     /**
      * Run a single interaction between two connected agents
+     * @param {number} [initiatorIndex] - Index of the agent that starts the interaction; random if omitted
      * @returns {Object} Interaction results
      */
-    runInteraction() {
+    runInteraction(initiatorIndex) {
         if (this.isComplete) {
             return null;
         }
         
+        // A direct call outside step() or runToCompletion() is timed on its own
+        if (this.activeSince === null) {
+            return this.timeActive(() => this.runInteraction(initiatorIndex));
+        }
+        
         this.isRunning = true;
         
         // Clear previous pairing
@@ -353,13 +815,22 @@ class OpinionDynamicsSimulation {
         }
         
         // Find a pair of connected agents
-        const { agent1Index, agent2Index, path } = this.findConnectedAgentPair();
+        const { agent1Index, agent2Index, path } = this.findConnectedAgentPair(initiatorIndex);
+        
+        // An initiator chosen by the scheduler may simply have nobody to talk to
+        if ((agent1Index === -1 || agent2Index === -1) && initiatorIndex !== undefined) {
+            this.isRunning = false;
+            return null;
+        }
         
         // If no connected pair could be found, try again or end simulation
         if (agent1Index === -1 || agent2Index === -1) {
-            console.log("Could not find connected agent pair. Network may be disconnected.");
-            this.isComplete = true;
+            this.complete('disconnected', "Could not find connected agent pair. Network may be disconnected.");
             this.isRunning = false;
+            
+            if (this.onSimulationComplete && this.callbacksEnabled) {
+                this.onSimulationComplete(this.getCompletionPayload());
+            }
             return null;
         }
         
@@ -384,26 +855,32 @@ class OpinionDynamicsSimulation {
         const agent1BeliefBefore = agent1.beliefValue;
         const agent2BeliefBefore = agent2.beliefValue;
         
-        // Create agent map for neighbor lookups
-        const agentMap = new Map();
-        this.agents.forEach(agent => {
-            agentMap.set(agent.id, agent);
-        });
-        
         // Agents interact and potentially update beliefs
-        const agent1Changed = agent1.updateBelief(agent2, agentMap);
-        const agent2Changed = agent2.updateBelief(agent1, agentMap);
+        const agent1Changed = agent1.updateBelief(agent2, this.agentMap, this.random, this.updateRule);
+        const agent2Changed = agent2.updateBelief(agent1, this.agentMap, this.random, this.updateRule);
         
         // Increment interaction count
         this.interactionCount++;
+        if (this.scheduler === 'random-sequential') {
+            this.timeStep = this.interactionCount / this.agents.length;
+        }
+        
+        // Keep the belief power sums current; beliefs can move without changing opinion
+        metricsModule.shiftBeliefPowerSums(this.beliefPowerSums, agent1BeliefBefore, agent1.beliefValue);
+        metricsModule.shiftBeliefPowerSums(this.beliefPowerSums, agent2BeliefBefore, agent2.beliefValue);
         
         // Update opinion counts if any agent changed opinion
-        if (agent1Changed || agent2Changed) {
-            this.updateOpinionCounts();
+        if (agent1Changed) {
+            this.shiftOpinionCount(agent1OpinionBefore, agent1.opinion);
+            this.flipsSinceRecord++;
+        }
+        if (agent2Changed) {
+            this.shiftOpinionCount(agent2OpinionBefore, agent2.opinion);
+            this.flipsSinceRecord++;
         }
         
-        // Record state periodically (every 10 interactions)
-        if (this.interactionCount % 10 === 0) {
+        // Record state periodically (every 10 interactions); the other schedulers record once per time step
+        if (this.scheduler === 'random-sequential' && this.interactionCount % 10 === 0) {
             this.recordOpinionState();
         }
         
@@ -435,16 +912,17 @@ class OpinionDynamicsSimulation {
             },
             opinionCounts: this.opinionCounts,
             currentPairing: this.currentPairing,
-            isComplete: this.isComplete
+            isComplete: this.isComplete,
+            completionReason: this.completionReason
         };
         
         // Trigger interaction complete callback
-        if (this.onInteractionComplete) {
+        if (this.onInteractionComplete && this.callbacksEnabled) {
             this.onInteractionComplete(interactionResult);
         }
         
         // Trigger progress update callback periodically
-        if (this.onProgressUpdate && this.interactionCount % 50 === 0) {
+        if (this.onProgressUpdate && this.callbacksEnabled && this.interactionCount % 50 === 0) {
             this.onProgressUpdate({
                 interactionCount: this.interactionCount,
                 opinionCounts: this.opinionCounts,
@@ -455,40 +933,286 @@ class OpinionDynamicsSimulation {
         }
         
         // If simulation is complete, trigger completion callback
-        if (this.isComplete && this.onSimulationComplete) {
-            this.onSimulationComplete({
+        if (this.isComplete && this.onSimulationComplete && this.callbacksEnabled) {
+            this.onSimulationComplete(this.getCompletionPayload());
+        }
+        
+        this.isRunning = false;
+        
+        return interactionResult;
+    }
+    
+    /**
+     * Run one time step: population-size random interactions under random-sequential,
+     * a random-order sweep under random-sweep, or a snapshot update under synchronous.
+     * The event callbacks fire once for the whole step.
+     * @returns {Object} Time step results
+     */
+    runTimeStep() {
+        if (this.isComplete) {
+            return null;
+        }
+        if (this.activeSince === null) {
+            return this.timeActive(() => this.runTimeStep());
+        }
+        
+        // Silence per-interaction callbacks while the step runs
+        const callbacksWereEnabled = this.callbacksEnabled;
+        this.callbacksEnabled = false;
+        const interactionsBefore = this.interactionCount;
+        
+        if (this.scheduler === 'synchronous') {
+            this.runSynchronousUpdate();
+        } else {
+            // Under random-sweep every agent starts one interaction, in a fresh random order
+            const order = this.scheduler === 'random-sweep'
+                ? networkModule.shuffle(this.agents.map((agent, index) => index), this.random)
+                : null;
+            
+            for (let i = 0; i < this.agents.length && !this.isComplete; i++) {
+                this.runInteraction(order ? order[i] : undefined);
+            }
+            
+            if (this.interactionCount === interactionsBefore && !this.isComplete) {
+                this.complete('disconnected', "Could not find connected agent pair. Network may be disconnected.");
+            }
+        }
+        
+        this.callbacksEnabled = callbacksWereEnabled;
+        
+        if (this.scheduler !== 'random-sequential') {
+            this.timeStep++;
+            this.recordOpinionState();
+        }
+        
+        const stepResult = {
+            interactionCount: this.interactionCount,
+            timeStep: this.timeStep,
+            interactions: this.interactionCount - interactionsBefore,
+            opinionCounts: this.opinionCounts,
+            currentPairing: this.currentPairing,
+            isComplete: this.isComplete,
+            completionReason: this.completionReason
+        };
+        
+        // Trigger the callbacks once per step
+        if (this.onInteractionComplete && this.callbacksEnabled) {
+            this.onInteractionComplete(stepResult);
+        }
+        
+        if (this.onProgressUpdate && this.callbacksEnabled) {
+            this.onProgressUpdate({
                 interactionCount: this.interactionCount,
                 opinionCounts: this.opinionCounts,
-                opinionHistory: this.opinionHistory
+                opinionHistory: this.opinionHistory,
+                currentPairing: this.currentPairing,
+                isComplete: this.isComplete
             });
         }
         
-        this.isRunning = false;
+        if (this.isComplete && this.onSimulationComplete && this.callbacksEnabled) {
+            this.onSimulationComplete(this.getCompletionPayload());
+        }
         
-        return interactionResult;
+        return stepResult;
+    }
+    
+    /**
+     * Update every agent at once: each agent picks a partner and computes its new belief
+     * from a snapshot of the population, and all new beliefs are applied together.
+     * Each updated agent counts as one interaction.
+     */
+    runSynchronousUpdate() {
+        // Clear the pairing highlight; a synchronous step has no single pair
+        if (this.currentPairing) {
+            [this.currentPairing.agent1Index, this.currentPairing.agent2Index].forEach(index => {
+                const agent = this.agents[index];
+                if (agent) {
+                    agent.isInPairing = false;
+                    agent.currentPairingId = null;
+                }
+            });
+            this.currentPairing = null;
+        }
+        
+        // Freeze the beliefs of the previous step
+        const snapshot = new Map();
+        this.agents.forEach(agent => {
+            snapshot.set(agent.id, Object.assign(Object.create(Object.getPrototypeOf(agent)), agent));
+        });
+        
+        // Compute each agent's new belief against the snapshot
+        const newBeliefs = [];
+        this.agents.forEach((agent, index) => {
+            const { agent2Index } = this.findConnectedAgentPair(index);
+            if (agent2Index === -1) return;
+            
+            // Update a copy so later agents still read the agent's previous belief
+            const working = Object.assign(Object.create(Object.getPrototypeOf(agent)), snapshot.get(agent.id));
+            working.updateBelief(snapshot.get(this.agents[agent2Index].id), snapshot, this.random, this.updateRule);
+            newBeliefs.push({ agent, beliefValue: working.beliefValue });
+        });
+        
+        if (newBeliefs.length === 0) {
+            this.complete('disconnected', "Could not find connected agent pair. Network may be disconnected.");
+            return;
+        }
+        
+        // Apply all updates together
+        newBeliefs.forEach(({ agent, beliefValue }) => {
+            const opinionBefore = agent.opinion;
+            agent.beliefValue = beliefValue;
+            if (agent.opinion !== opinionBefore) {
+                this.flipsSinceRecord++;
+            }
+        });
+        
+        this.interactionCount += newBeliefs.length;
+        this.updateOpinionCounts();
+        this.checkCompletionConditions();
+    }
+    
+    /**
+     * Advance the simulation by one scheduler tick: one interaction under random-sequential,
+     * one time step under the other schedulers
+     * @returns {Object} Interaction or time step results
+     */
+    advance() {
+        return this.scheduler === 'random-sequential' ? this.runInteraction() : this.runTimeStep();
+    }
+    
+    /**
+     * Advance the simulation synchronously by a number of scheduler ticks
+     * (interactions under random-sequential, time steps otherwise).
+     * Stops early if the simulation completes. initialize() must have been called first.
+     *
+     * @param {number} n - Number of ticks to run
+     * @param {Object} options - Step options
+     * @param {boolean} options.callbacks - Whether to trigger the event callbacks (default true)
+     * @returns {Object} Statistics after the last interaction
+     */
+    step(n = 1, options = {}) {
+        const { callbacks = true } = options;
+        const callbacksWereEnabled = this.callbacksEnabled;
+        this.callbacksEnabled = callbacks;
+        
+        this.timeActive(() => {
+            for (let i = 0; i < n && !this.isComplete; i++) {
+                this.advance();
+            }
+        });
+        
+        this.callbacksEnabled = callbacksWereEnabled;
+        return this.getStatistics();
+    }
+    
+    /**
+     * Run interactions synchronously until checkCompletionConditions ends the simulation
+     * initialize() must have been called first.
+     *
+     * @param {Object} options - Run options
+     * @param {boolean} options.callbacks - Whether to trigger the event callbacks (default false)
+     * @returns {Object} Final statistics
+     */
+    runToCompletion(options = {}) {
+        const { callbacks = false } = options;
+        const callbacksWereEnabled = this.callbacksEnabled;
+        this.callbacksEnabled = callbacks;
+        
+        this.timeActive(() => {
+            while (!this.isComplete) {
+                this.advance();
+            }
+        });
+        
+        this.callbacksEnabled = callbacksWereEnabled;
+        return this.getStatistics();
+    }
+    
+    /**
+     * Run a function and add its duration to the running time that the wall-clock limit
+     * counts, so time between calls (e.g. while a run is paused) is not counted
+     * @param {function(): *} run - Function to run
+     * @returns {*} The function's result
+     */
+    timeActive(run) {
+        this.activeSince = Date.now();
+        try {
+            return run();
+        } finally {
+            this.runningTime += Date.now() - this.activeSince;
+            this.activeSince = null;
+        }
     }
     
     /**
-     * Find a pair of agents that are connected directly or indirectly
+     * Get the time spent running, including the call in progress
+     * @returns {number} Milliseconds
+     */
+    getRunningTime() {
+        return this.runningTime + (this.activeSince === null ? 0 : Date.now() - this.activeSince);
+    }
+    
+    /**
+     * Find a pair of agents under the configured pairing policy
+     * @param {number} [initiatorIndex] - Index of the first agent; a random agent is tried if omitted
      * @returns {Object} Object containing agent indices and the path between them
      */
-    findConnectedAgentPair() {
+    findConnectedAgentPair(initiatorIndex) {
+        const pickFirstAgent = () => (initiatorIndex !== undefined
+            ? initiatorIndex
+            : Math.floor(this.random() * this.agents.length));
+        const { policy, params } = this.pairing;
+        
+        if (policy === 'mixed') {
+            return this.findMixedPair(pickFirstAgent, params);
+        }
+        
+        // Every other policy looks for a partner of one agent at a time
+        for (let attempts = 0; attempts < 10; attempts++) {
+            const agent1Index = pickFirstAgent();
+            let pair;
+            if (policy === 'well-mixed') {
+                pair = this.findWellMixedPartner(agent1Index);
+            } else if (policy === 'neighbors') {
+                pair = this.findNeighborPartner(agent1Index);
+            } else {
+                pair = this.findNearbyPartner(agent1Index, params, policy === 'distance-decay');
+            }
+            
+            // A scheduler-chosen initiator gets a single try
+            if (pair || initiatorIndex !== undefined) {
+                return pair || { agent1Index: -1, agent2Index: -1, path: null };
+            }
+        }
+        
+        return { agent1Index: -1, agent2Index: -1, path: null };
+    }
+    
+    /**
+     * Mixed pairing (the original model): usually a direct neighbor, but with the indirect
+     * probability a partner anywhere in the reachable part of the network
+     * @param {function(): number} pickFirstAgent - Returns the index of a candidate first agent
+     * @param {Object} params - Pairing parameters
+     * @returns {Object} Object containing agent indices and the path between them
+     */
+    findMixedPair(pickFirstAgent, params) {
         // Randomly decide whether to look for direct or indirect connections
-        const preferIndirect = Math.random() < 0.3; // 30% chance to prefer indirect connections
+        const preferIndirect = this.random() < params.indirectProbability;
         
         if (!preferIndirect) {
             // Try to find a directly connected pair first (more efficient)
             for (let attempts = 0; attempts < 5; attempts++) {
-                const agent1Index = Math.floor(Math.random() * this.agents.length);
+                const agent1Index = pickFirstAgent();
                 const agent1 = this.agents[agent1Index];
                 
                 if (agent1.neighbors.length > 0) {
                     // Randomly select one of agent1's neighbors
-                    const neighborIndex = Math.floor(Math.random() * agent1.neighbors.length);
+                    const neighborIndex = Math.floor(this.random() * agent1.neighbors.length);
                     const agent2Id = agent1.neighbors[neighborIndex];
-                    const agent2Index = this.agents.findIndex(a => a.id === agent2Id);
+                    const agent2Index = this.agentIndex.get(agent2Id);
                     
-                    if (agent2Index !== -1) {
+                    if (agent2Index !== undefined) {
                         // Direct connection - path is just the two agents
                         return { 
                             agent1Index, 
@@ -500,66 +1224,29 @@ class OpinionDynamicsSimulation {
             }
         }
         
-        // Look for an indirectly connected pair using breadth-first search
+        // Look for an indirectly connected pair
         // Try multiple starting points to increase variety
         for (let attempts = 0; attempts < 3; attempts++) {
-            const agent1Index = Math.floor(Math.random() * this.agents.length);
-            const agent1 = this.agents[agent1Index];
-            
-            // Find all agents reachable from agent1 using BFS
-            const { reachableAgents, paths } = this.findReachableAgents(agent1.id);
+            const agent1Index = pickFirstAgent();
+            const pair = this.config.directed === true
+                ? this.findReachablePartner(agent1Index)
+                : this.findComponentPartner(agent1Index);
             
-            if (reachableAgents.length > 1) { // At least one other agent is reachable
-                // Filter paths to find those with length > 2 (indirect connections)
-                const indirectPaths = [];
-                for (const agentId in paths) {
-                    if (paths[agentId].length > 2 && agentId !== agent1.id.toString()) {
-                        indirectPaths.push({
-                            agentId: parseInt(agentId),
-                            path: paths[agentId]
-                        });
-                    }
-                }
-                
-                // If we found indirect paths, randomly select one
-                if (indirectPaths.length > 0) {
-                    const selectedPath = indirectPaths[Math.floor(Math.random() * indirectPaths.length)];
-                    const agent2Index = this.agents.findIndex(a => a.id === selectedPath.agentId);
-                    
-                    if (agent2Index !== -1) {
-                        return { 
-                            agent1Index, 
-                            agent2Index, 
-                            path: selectedPath.path 
-                        };
-                    }
-                }
-                
-                // If no indirect paths or we couldn't find the agent, fall back to any reachable agent
-                const reachableIndex = Math.floor(Math.random() * (reachableAgents.length - 1)) + 1;
-                const agent2Id = reachableAgents[reachableIndex];
-                const agent2Index = this.agents.findIndex(a => a.id === agent2Id);
-                
-                if (agent2Index !== -1) {
-                    return { 
-                        agent1Index, 
-                        agent2Index, 
-                        path: paths[agent2Id] 
-                    };
-                }
+            if (pair) {
+                return pair;
             }
         }
         
         // If we still couldn't find a connected pair, try direct connections again
-        const agent1Index = Math.floor(Math.random() * this.agents.length);
+        const agent1Index = pickFirstAgent();
         const agent1 = this.agents[agent1Index];
         
         if (agent1.neighbors.length > 0) {
-            const neighborIndex = Math.floor(Math.random() * agent1.neighbors.length);
+            const neighborIndex = Math.floor(this.random() * agent1.neighbors.length);
             const agent2Id = agent1.neighbors[neighborIndex];
-            const agent2Index = this.agents.findIndex(a => a.id === agent2Id);
+            const agent2Index = this.agentIndex.get(agent2Id);
             
-            if (agent2Index !== -1) {
+            if (agent2Index !== undefined) {
                 return { 
                     agent1Index, 
                     agent2Index, 
@@ -572,60 +1259,489 @@ class OpinionDynamicsSimulation {
         return { agent1Index: -1, agent2Index: -1, path: null };
     }
     
+    /**
+     * Pick a random direct neighbor of an agent
+     * @param {number} agent1Index - Index of the first agent
+     * @returns {Object|null} Pair with agent indices and path, or null if the agent has no neighbors
+     */
+    findNeighborPartner(agent1Index) {
+        const agent1 = this.agents[agent1Index];
+        if (agent1.neighbors.length === 0) {
+            return null;
+        }
+        
+        const agent2Id = agent1.neighbors[Math.floor(this.random() * agent1.neighbors.length)];
+        return { agent1Index, agent2Index: this.agentIndex.get(agent2Id), path: [agent1.id, agent2Id] };
+    }
+    
+    /**
+     * Pick a partner within params.maxHops links of an agent: uniformly, or with each agent
+     * weighted by decayRate^(distance - 1) when decaying with distance
+     * @param {number} agent1Index - Index of the first agent
+     * @param {Object} params - Pairing parameters
+     * @param {boolean} decay - Whether the probability decays with distance
+     * @returns {Object|null} Pair with agent indices and path, or null if nobody is in range
+     */
+    findNearbyPartner(agent1Index, params, decay) {
+        const agent1 = this.agents[agent1Index];
+        const { reachableAgents, distances, parents } = this.findReachableAgents(agent1.id, undefined, params.maxHops);
+        const candidates = reachableAgents.slice(1);
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        let agent2Id = candidates[Math.floor(this.random() * candidates.length)];
+        if (decay) {
+            const weights = candidates.map(agentId => Math.pow(params.decayRate, distances.get(agentId) - 1));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            let threshold = this.random() * total;
+            agent2Id = candidates.find((agentId, i) => (threshold -= weights[i]) < 0) ?? candidates[candidates.length - 1];
+        }
+        
+        return { agent1Index, agent2Index: this.agentIndex.get(agent2Id), path: this.tracePath(parents, agent2Id) };
+    }
+    
+    /**
+     * Pick any other agent, ignoring the network
+     * @param {number} agent1Index - Index of the first agent
+     * @returns {Object|null} Pair with agent indices and a direct path, or null with a single agent
+     */
+    findWellMixedPartner(agent1Index) {
+        if (this.agents.length < 2) {
+            return null;
+        }
+        
+        let agent2Index;
+        do {
+            agent2Index = Math.floor(this.random() * this.agents.length);
+        } while (agent2Index === agent1Index);
+        
+        return { agent1Index, agent2Index, path: [this.agents[agent1Index].id, this.agents[agent2Index].id] };
+    }
+    
+    /**
+     * Pick a partner for an agent in an undirected network without searching the graph:
+     * a uniformly random member of the agent's connected component that is not a neighbor
+     * (an indirect connection), or any other member when every member is a neighbor.
+     * The path is only traced when callbacks are on, since it is only used for drawing.
+     * @param {number} agent1Index - Index of the first agent
+     * @returns {Object|null} Pair with agent indices and path, or null if the agent is isolated
+     */
+    findComponentPartner(agent1Index) {
+        const component = this.getComponent(agent1Index);
+        if (component.length < 2) {
+            return null;
+        }
+        
+        return this.pickIndirectPartner(agent1Index, component.length, position => component[position]);
+    }
+    
+    /**
+     * Pick a partner for an agent in a directed network, where reachability differs from
+     * agent to agent: a uniformly random agent it reaches along followed links but does not
+     * follow (an indirect connection), or any agent it follows when it reaches nobody else.
+     * @param {number} agent1Index - Index of the first agent
+     * @returns {Object|null} Pair with agent indices and path, or null if nobody is reachable
+     */
+    findReachablePartner(agent1Index) {
+        if (this.agents[agent1Index].neighbors.length === 0) {
+            return null;
+        }
+        
+        const reachable = this.getReachable(agent1Index);
+        return this.pickIndirectPartner(agent1Index, reachable.count, position => this.getReachableAgent(reachable, position));
+    }
+    
+    /**
+     * Pick a uniformly random candidate that is not a neighbor of the first agent, or any other
+     * candidate when every one of them is a neighbor
+     * @param {number} agent1Index - Index of the first agent
+     * @param {number} candidateCount - Number of agents connected to it, including itself
+     * @param {function(number): number} candidateAt - Index of the candidate at a position from 0 to candidateCount - 1
+     * @returns {Object} Pair with agent indices and path
+     */
+    pickIndirectPartner(agent1Index, candidateCount, candidateAt) {
+        const agent1 = this.agents[agent1Index];
+        const isIndirect = index => index !== agent1Index && !agent1.neighbors.includes(this.agents[index].id);
+        let agent2Index = -1;
+        
+        if (candidateCount - 1 > agent1.neighbors.length) {
+            // Rejection sampling is uniform over the indirect candidates and usually needs only a few draws
+            for (let attempt = 0; attempt < 20 && agent2Index === -1; attempt++) {
+                const candidate = candidateAt(Math.floor(this.random() * candidateCount));
+                if (isIndirect(candidate)) {
+                    agent2Index = candidate;
+                }
+            }
+            
+            // Fall back to listing the indirect candidates when the agent's neighbors fill most of them
+            if (agent2Index === -1) {
+                const indirect = [];
+                for (let position = 0; position < candidateCount; position++) {
+                    if (isIndirect(candidateAt(position))) {
+                        indirect.push(candidateAt(position));
+                    }
+                }
+                agent2Index = indirect[Math.floor(this.random() * indirect.length)];
+            }
+        } else {
+            // Every other candidate is a neighbor: pick any of them
+            do {
+                agent2Index = candidateAt(Math.floor(this.random() * candidateCount));
+            } while (agent2Index === agent1Index);
+        }
+        
+        return {
+            agent1Index,
+            agent2Index,
+            path: this.callbacksEnabled ? this.findPath(agent1.id, this.agents[agent2Index].id) : null
+        };
+    }
+    
+    /**
+     * Get the connected component containing an agent, building the component cache if needed
+     * Components are only meaningful for undirected networks.
+     * @param {number} agentIndex - Index of the agent
+     * @returns {number[]} Indices of the agents in the component
+     */
+    getComponent(agentIndex) {
+        if (!this.components) {
+            const componentOf = new Array(this.agents.length).fill(-1);
+            const members = [];
+            
+            this.agents.forEach((agent, startIndex) => {
+                if (componentOf[startIndex] !== -1) return;
+                
+                const component = [startIndex];
+                componentOf[startIndex] = members.length;
+                for (let head = 0; head < component.length; head++) {
+                    this.agents[component[head]].neighbors.forEach(neighborId => {
+                        const neighborIndex = this.agentIndex.get(neighborId);
+                        if (neighborIndex !== undefined && componentOf[neighborIndex] === -1) {
+                            componentOf[neighborIndex] = members.length;
+                            component.push(neighborIndex);
+                        }
+                    });
+                }
+                members.push(component);
+            });
+            
+            this.components = { componentOf, members };
+        }
+        
+        return this.components.members[this.components.componentOf[agentIndex]];
+    }
+    
+    /**
+     * Get the agents reachable from an agent along followed links in a directed network
+     * Every member of a strongly connected component reaches the same agents, so the reachable
+     * components are cached per component and built on demand.
+     * @param {number} agentIndex - Index of the agent
+     * @returns {Object} { components, offsets, count }: the reachable components (the agent's own
+     *   first), the position of each one's first member, and the number of reachable agents including the agent
+     */
+    getReachable(agentIndex) {
+        if (!this.reachability) {
+            this.reachability = { ...this.findStrongComponents(), reachable: new Map() };
+        }
+        
+        const { componentOf, members, successors, reachable } = this.reachability;
+        const start = componentOf[agentIndex];
+        if (!reachable.has(start)) {
+            const components = [start];
+            const visited = new Set(components);
+            for (let head = 0; head < components.length; head++) {
+                successors[components[head]].forEach(next => {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        components.push(next);
+                    }
+                });
+            }
+            
+            const offsets = [];
+            let count = 0;
+            components.forEach(component => {
+                offsets.push(count);
+                count += members[component].length;
+            });
+            reachable.set(start, { components, offsets, count });
+        }
+        
+        return reachable.get(start);
+    }
+    
+    /**
+     * Get the reachable agent at a position of a reachable set
+     * @param {Object} reachable - Result of getReachable()
+     * @param {number} position - Position from 0 to reachable.count - 1
+     * @returns {number} Index of the agent
+     */
+    getReachableAgent(reachable, position) {
+        const { components, offsets } = reachable;
+        
+        // Binary search for the last component starting at or before the position
+        let low = 0;
+        let high = offsets.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (offsets[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        return this.reachability.members[components[low]][position - offsets[low]];
+    }
+    
+    /**
+     * Find the strongly connected components of a directed network (Tarjan's algorithm,
+     * with an explicit stack so deep networks cannot overflow the call stack)
+     * @returns {Object} { componentOf, members, successors }: the component of every agent by index,
+     *   the agent indices in each component, and the other components each one links to
+     */
+    findStrongComponents() {
+        const count = this.agents.length;
+        const componentOf = new Array(count).fill(-1);
+        const order = new Array(count).fill(-1);
+        const low = new Array(count).fill(0);
+        const onStack = new Array(count).fill(false);
+        const stack = [];
+        let visitCount = 0;
+        let componentCount = 0;
+        
+        const visit = index => {
+            order[index] = low[index] = visitCount++;
+            stack.push(index);
+            onStack[index] = true;
+        };
+        
+        for (let root = 0; root < count; root++) {
+            if (order[root] !== -1) continue;
+            
+            // Each frame holds an agent and the position of the next followed link to explore
+            visit(root);
+            const frames = [[root, 0]];
+            while (frames.length > 0) {
+                const frame = frames[frames.length - 1];
+                const index = frame[0];
+                const neighbors = this.agents[index].neighbors;
+                
+                if (frame[1] < neighbors.length) {
+                    const neighborIndex = this.agentIndex.get(neighbors[frame[1]++]);
+                    if (neighborIndex === undefined) continue;
+                    if (order[neighborIndex] === -1) {
+                        visit(neighborIndex);
+                        frames.push([neighborIndex, 0]);
+                    } else if (onStack[neighborIndex]) {
+                        low[index] = Math.min(low[index], order[neighborIndex]);
+                    }
+                    continue;
+                }
+                
+                frames.pop();
+                if (frames.length > 0) {
+                    const parent = frames[frames.length - 1][0];
+                    low[parent] = Math.min(low[parent], low[index]);
+                }
+                
+                // The agent roots a component: pop its members off the stack
+                if (low[index] === order[index]) {
+                    let member;
+                    do {
+                        member = stack.pop();
+                        onStack[member] = false;
+                        componentOf[member] = componentCount;
+                    } while (member !== index);
+                    componentCount++;
+                }
+            }
+        }
+        
+        const members = Array.from({ length: componentCount }, () => []);
+        const successors = Array.from({ length: componentCount }, () => new Set());
+        this.agents.forEach((agent, index) => {
+            const component = componentOf[index];
+            members[component].push(index);
+            agent.neighbors.forEach(neighborId => {
+                const neighborIndex = this.agentIndex.get(neighborId);
+                if (neighborIndex !== undefined && componentOf[neighborIndex] !== component) {
+                    successors[component].add(componentOf[neighborIndex]);
+                }
+            });
+        });
+        
+        return { componentOf, members, successors };
+    }
+    
     /**
      * Find all agents reachable from a starting agent using BFS
      * @param {number} startAgentId - ID of the starting agent
-     * @returns {Object} Object containing reachable agents and paths to them
+     * @param {number} [targetAgentId] - Stop as soon as this agent is reached
+     * @param {number} [maxDepth] - Only search this many links away from the start
+     * @returns {Object} Reachable agent IDs in BFS order, their distances and BFS parents
      */
-    findReachableAgents(startAgentId) {
-        const visited = new Set();
+    findReachableAgents(startAgentId, targetAgentId, maxDepth = Infinity) {
         const queue = [startAgentId];
-        visited.add(startAgentId);
+        const distances = new Map([[startAgentId, 0]]);
+        const parents = new Map();
         
-        // Track paths to each reachable agent
-        const paths = {};
-        paths[startAgentId] = [startAgentId];
-        
-        while (queue.length > 0) {
-            const currentId = queue.shift();
-            const currentAgent = this.agents.find(a => a.id === currentId);
+        // Walk the queue with a head pointer; shift() would make the search quadratic
+        for (let head = 0; head < queue.length; head++) {
+            const currentId = queue[head];
+            const currentAgent = this.agentMap.get(currentId);
             
-            if (!currentAgent) continue;
+            if (!currentAgent || distances.get(currentId) >= maxDepth) continue;
             
             for (const neighborId of currentAgent.neighbors) {
-                if (!visited.has(neighborId)) {
-                    visited.add(neighborId);
+                if (!distances.has(neighborId)) {
+                    distances.set(neighborId, distances.get(currentId) + 1);
+                    parents.set(neighborId, currentId);
                     queue.push(neighborId);
                     
-                    // Record the path to this neighbor
-                    paths[neighborId] = [...paths[currentId], neighborId];
+                    if (neighborId === targetAgentId) {
+                        return { reachableAgents: queue, distances, parents };
+                    }
                 }
             }
         }
         
-        return { 
-            reachableAgents: Array.from(visited), 
-            paths 
-        };
+        return { reachableAgents: queue, distances, parents };
+    }
+    
+    /**
+     * Find a shortest path between two agents
+     * @param {number} startAgentId - ID of the first agent
+     * @param {number} targetAgentId - ID of the second agent
+     * @returns {number[]|null} Agent IDs along the path, or null if the target is unreachable
+     */
+    findPath(startAgentId, targetAgentId) {
+        const { parents } = this.findReachableAgents(startAgentId, targetAgentId);
+        return parents.has(targetAgentId) ? this.tracePath(parents, targetAgentId) : null;
+    }
+    
+    /**
+     * Rebuild a path by following BFS parents back from its end
+     * @param {Map<number, number>} parents - BFS parent of each reached agent
+     * @param {number} targetAgentId - ID of the last agent on the path
+     * @returns {number[]} Agent IDs from the search start to the target
+     */
+    tracePath(parents, targetAgentId) {
+        const path = [targetAgentId];
+        while (parents.has(path[0])) {
+            path.unshift(parents.get(path[0]));
+        }
+        return path;
     }
     
     /**
      * Check if the simulation has reached completion conditions
+     * The first criterion met sets completionReason to one of 'consensus', 'dominance',
+     * 'stagnation', 'max-interactions' or 'wall-clock'.
      */
     checkCompletionConditions() {
-        // Check for opinion dominance (all agents have the same opinion)
+        const totalAgents = this.agents.length;
+        const redProportion = this.opinionCounts.red / totalAgents;
+        
+        // Check for opinion consensus (all agents have the same opinion)
         if (this.opinionCounts.red === 0 || this.opinionCounts.blue === 0) {
-            console.log("Simulation complete: One opinion dominates");
-            this.isComplete = true;
+            this.complete('consensus', "Simulation complete: One opinion dominates");
             return;
         }
         
+        // Check for dominance above the configured threshold
+        const { dominanceThreshold, stagnationWindow, stagnationTolerance, maxInteractions, maxWallClockMs } = this.stopCriteria;
+        const dominantProportion = Math.max(redProportion, 1 - redProportion);
+        if (dominanceThreshold < 1 && dominantProportion >= dominanceThreshold) {
+            this.complete('dominance', `Simulation complete: ${this.getDominantOpinion()} holds ${(dominantProportion * 100).toFixed(1)}% of agents`);
+            return;
+        }
+        
+        // Check for a stable equilibrium: no significant change over the stagnation window
+        if (stagnationWindow > 0) {
+            const reference = this.stagnationReference;
+            
+            if (reference === null || Math.abs(redProportion - reference.redProportion) > stagnationTolerance) {
+                // Opinions moved: start a new stagnant stretch from here
+                this.stagnationReference = { redProportion, interactionCount: this.interactionCount };
+            } else if (this.interactionCount - reference.interactionCount >= stagnationWindow) {
+                this.complete('stagnation', `Simulation complete: no significant change over ${stagnationWindow} interactions`);
+                return;
+            }
+        }
+        
         // Stop after the maximum number of interactions
-        const maxInteractions = this.config.maxInteractions || 5000;
         if (this.interactionCount >= maxInteractions) {
-            console.log(`Reached max interactions: ${maxInteractions}`);
-            this.isComplete = true;
+            this.complete('max-interactions', `Reached max interactions: ${maxInteractions}`);
+            return;
         }
+        
+        // Stop when the wall-clock budget is used up; paused time does not count
+        if (maxWallClockMs > 0 && this.getRunningTime() >= maxWallClockMs) {
+            this.complete('wall-clock', `Reached wall-clock budget: ${maxWallClockMs} ms`);
+        }
+    }
+    
+    /**
+     * Mark the simulation as complete
+     * @param {string} reason - The stop criterion that ended the run
+     * @param {string} message - Message to log
+     */
+    complete(reason, message) {
+        this.log(message);
+        this.isComplete = true;
+        this.completionReason = reason;
+        
+        // Report the network metrics of the final state
+        this.updateNetworkMetrics();
+    }
+    
+    /**
+     * Get the opinion currently held by most agents
+     * @returns {string|null} 'red', 'blue', or null on a tie
+     */
+    getDominantOpinion() {
+        if (this.opinionCounts.red === this.opinionCounts.blue) return null;
+        return this.opinionCounts.red > this.opinionCounts.blue ? agentModule.RED : agentModule.BLUE;
+    }
+    
+    /**
+     * Build the payload passed to onSimulationComplete
+     * @returns {Object} Final counts, history and the reason the run stopped
+     */
+    getCompletionPayload() {
+        return {
+            interactionCount: this.interactionCount,
+            timeStep: this.timeStep,
+            opinionCounts: this.opinionCounts,
+            opinionHistory: this.opinionHistory,
+            completionReason: this.completionReason,
+            dominantOpinion: this.getDominantOpinion()
+        };
+    }
+    
+    /**
+     * Apply an interactive edit mid-run and bring the derived state up to date: opinion and
+     * zealot counts, belief sums, cached components and network metrics. Edits draw no random
+     * numbers, and a saved snapshot keeps them.
+     * @param {Object} edit - Edit as described for applyAgentEdit()
+     * @returns {boolean} True if the simulation changed
+     */
+    applyEdit(edit) {
+        if (!applyAgentEdit(this.agents, this.agentMap, edit, this.config.directed === true)) {
+            return false;
+        }
+        
+        this.components = null;
+        this.reachability = null;
+        this.updateOpinionCounts();
+        this.updateZealotCounts();
+        this.updateNetworkMetrics();
+        
+        // Record the refreshed network metrics with the next history entry
+        this.networkMetricsAt = null;
+        return true;
     }
     
     /**
@@ -635,18 +1751,172 @@ class OpinionDynamicsSimulation {
     getStatistics() {
         return {
             interactionCount: this.interactionCount,
+            timeStep: this.timeStep,
+            scheduler: this.scheduler,
             opinionCounts: this.opinionCounts,
             opinionHistory: this.opinionHistory,
             currentPairing: this.currentPairing,
             isComplete: this.isComplete,
-            zealotCount: this.agents.filter(agent => agent.isZealot).length,
-            redZealotCount: this.agents.filter(agent => agent.isZealot && agent.opinion === agentModule.RED).length,
-            blueZealotCount: this.agents.filter(agent => agent.isZealot && agent.opinion === agentModule.BLUE).length
+            completionReason: this.completionReason,
+            dominantOpinion: this.getDominantOpinion(),
+            ...metricsModule.describeBeliefs(this.beliefPowerSums, this.agents.length),
+            ...this.networkMetrics,
+            seed: this.seed,
+            zealotCount: this.zealotCounts.red + this.zealotCounts.blue,
+            redZealotCount: this.zealotCounts.red,
+            blueZealotCount: this.zealotCounts.blue
         };
     }
+    
+    /**
+     * Serialize the full simulation state, including the random generator, to a JSON document
+     * @returns {string} Versioned JSON snapshot that restore() accepts
+     */
+    serialize() {
+        return JSON.stringify({
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            config: this.config,
+            seed: this.seed,
+            rngState: this.rng.state,
+            interactionCount: this.interactionCount,
+            timeStep: this.timeStep,
+            isComplete: this.isComplete,
+            completionReason: this.completionReason,
+            stagnationReference: this.stagnationReference,
+            beliefPowerSums: this.beliefPowerSums,
+            flipsSinceRecord: this.flipsSinceRecord,
+            networkMetrics: this.networkMetrics,
+            networkMetricsAt: this.networkMetricsAt,
+            opinionHistory: this.opinionHistory,
+            historyLayout: this.history.getLayout(),
+            agents: this.agents.map(agent => ({
+                id: agent.id,
+                beliefValue: agent.beliefValue,
+                isZealot: agent.isZealot,
+                neighbors: agent.neighbors,
+                zealotInfluenceProbability: agent.zealotInfluenceProbability,
+                baseInfluenceRate: agent.baseInfluenceRate,
+                persuasivenessWeight: agent.persuasivenessWeight,
+                initialBelief: agent.initialBelief,
+                traits: agent.getTraits(),
+                nameMemory: agent.nameMemory,
+                interactionHistory: agent.getRecentInteractions()
+            }))
+        });
+    }
+    
+    /**
+     * Replace the simulation state with a snapshot; a restored run continues exactly as the saved one would have
+     * @param {string|Object} snapshot - JSON document from serialize(), or the parsed object
+     * @returns {boolean} True if the snapshot was restored, false if it is not a valid snapshot
+     */
+    restore(snapshot) {
+        let data = snapshot;
+        if (typeof snapshot === 'string') {
+            try {
+                data = JSON.parse(snapshot);
+            } catch (error) {
+                console.error(`Snapshot is not valid JSON: ${error.message}`);
+                return false;
+            }
+        }
+        
+        if (!data || data.format !== SNAPSHOT_FORMAT || !Array.isArray(data.agents)) {
+            console.error('Not a simulation snapshot');
+            return false;
+        }
+        if (data.version !== SNAPSHOT_VERSION) {
+            console.error(`Unsupported snapshot version ${data.version} (this model reads version ${SNAPSHOT_VERSION})`);
+            return false;
+        }
+        
+        this.config = data.config;
+        this.resetState();
+        this.resolveConfiguration();
+        
+        // Continue the random stream from where the snapshot left it
+        this.seed = data.seed;
+        this.rng = new randomModule.SeededRandom(data.seed);
+        this.rng.state = data.rngState >>> 0;
+        
+        this.agents = data.agents.map(saved => {
+            const agent = new agentModule.Agent(
+                saved.beliefValue,
+                saved.isZealot,
+                saved.id,
+                saved.neighbors,
+                saved.zealotInfluenceProbability,
+                {
+                    baseInfluenceRate: saved.baseInfluenceRate,
+                    persuasivenessWeight: saved.persuasivenessWeight
+                },
+                saved.traits || {}
+            );
+            agent.initialBelief = saved.initialBelief ?? saved.beliefValue;
+            agent.nameMemory = saved.nameMemory || [];
+            agent.interactionHistoryLimit = this.interactionHistoryLimit;
+            agent.interactionHistory = saved.interactionHistory || [];
+            agent.interactionHistory = agent.getRecentInteractions();
+            return agent;
+        });
+        this.buildAgentIndex();
+        this.components = null;
+        this.reachability = null;
+        this.updateOpinionCounts();
+        this.updateZealotCounts();
+        
+        this.interactionCount = data.interactionCount;
+        this.timeStep = data.timeStep;
+        this.isComplete = data.isComplete;
+        this.completionReason = data.completionReason;
+        this.stagnationReference = data.stagnationReference;
+        
+        // Carry the metric state over so the restored history matches the saved run's
+        if (data.beliefPowerSums) {
+            this.beliefPowerSums = data.beliefPowerSums;
+        }
+        this.flipsSinceRecord = data.flipsSinceRecord || 0;
+        if (data.networkMetrics) {
+            this.networkMetrics = data.networkMetrics;
+            this.networkMetricsAt = data.networkMetricsAt;
+        } else {
+            this.updateNetworkMetrics();
+        }
+        this.history.load(data.opinionHistory, data.historyLayout);
+        return true;
+    }
+    
+    /**
+     * Create a simulation from a snapshot
+     * @param {string|Object} snapshot - JSON document from serialize(), or the parsed object
+     * @returns {OpinionDynamicsSimulation|null} Restored simulation, or null if the snapshot is invalid
+     */
+    static deserialize(snapshot) {
+        const simulation = new OpinionDynamicsSimulation({});
+        return simulation.restore(snapshot) ? simulation : null;
+    }
 }
 
-// Create a global simulationModule object
-window.simulationModule = {
-    OpinionDynamicsSimulation
-}; 
\ No newline at end of file
+// Export for Node (CommonJS) or create a global simulationModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OpinionDynamicsSimulation,
+        SCHEDULERS,
+        PAIRING_POLICIES,
+        DEFAULT_PAIRING_POLICY,
+        SNAPSHOT_FORMAT,
+        SNAPSHOT_VERSION,
+        applyAgentEdit
+    };
+} else {
+    globalThis.simulationModule = {
+        OpinionDynamicsSimulation,
+        SCHEDULERS,
+        PAIRING_POLICIES,
+        DEFAULT_PAIRING_POLICY,
+        SNAPSHOT_FORMAT,
+        SNAPSHOT_VERSION,
+        applyAgentEdit
+    };
+}
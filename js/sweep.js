@@ -0,0 +1,233 @@
+/**
+ * sweep.js
+ *
+ * This module implements a parameter sweep runner for the Opinion Dynamics simulation.
+ * It runs replicate simulations over a grid of parameter values and reports, for each
+ * grid cell, how often each opinion reaches consensus and how long it takes. This is
+ * how tipping points (e.g. the committed-minority fraction needed to flip a population)
+ * are measured.
+ */
+
+// Load dependencies in Node; in the browser they are globals created by earlier scripts
+var simulationModule = typeof module !== 'undefined' && module.exports ? require('./simulation.js') : globalThis.simulationModule;
+
+// Parameters the sweep is designed to vary
+const SWEEP_PARAMETERS = [
+    'redProportion',
+    'redZealotFraction',
+    'blueZealotFraction',
+    'homophily',
+    'populationSize'
+];
+
+const DEFAULT_REPLICATES = 10;
+
+/**
+ * ParameterSweep class to run replicate simulations over a parameter grid
+ */
+class ParameterSweep {
+    /**
+     * Create a new parameter sweep
+     * @param {Object} config - Sweep configuration
+     * @param {Object} config.baseConfig - Simulation configuration shared by every run
+     * @param {Object<string, number[]>} config.grid - Values to sweep for each parameter, e.g. { homophily: [0.5, 0.7, 0.9] }
+     * @param {number} config.replicates - Number of replicate runs per grid cell (a positive integer, default 10)
+     * @param {number} config.baseSeed - Seed of the first replicate; replicate r uses baseSeed + r in every cell
+     */
+    constructor(config) {
+        this.config = config;
+        this.replicates = resolveReplicates(config.replicates);
+        this.results = [];
+        this.isRunning = false;
+        this.stopRequested = false;
+
+        // Event callbacks
+        this.onCellComplete = null;
+        this.onSweepComplete = null;
+    }
+
+    /**
+     * Build the list of grid cells as the cartesian product of the swept values
+     * @returns {Object[]} Array of parameter objects, one per cell
+     */
+    getCells() {
+        const grid = this.config.grid || {};
+        let cells = [{}];
+
+        Object.keys(grid).forEach(parameter => {
+            if (!SWEEP_PARAMETERS.includes(parameter)) {
+                console.warn(`Sweeping "${parameter}", which is not one of: ${SWEEP_PARAMETERS.join(', ')}`);
+            }
+
+            const values = grid[parameter];
+            const expanded = [];
+            cells.forEach(cell => {
+                values.forEach(value => {
+                    expanded.push({ ...cell, [parameter]: value });
+                });
+            });
+            cells = expanded;
+        });
+
+        return cells;
+    }
+
+    /**
+     * Run all replicates for a single grid cell
+     * @param {Object} parameters - Parameter values for this cell
+     * @returns {Object} Outcome statistics for the cell
+     */
+    runCell(parameters) {
+        const replicates = this.replicates;
+        const baseSeed = this.config.baseSeed || 0;
+
+        let redWins = 0;
+        let blueWins = 0;
+        let consensusTimeTotal = 0;
+        let finalBlueProportionTotal = 0;
+
+        for (let replicate = 0; replicate < replicates; replicate++) {
+            const simulation = new simulationModule.OpinionDynamicsSimulation({
+                ...this.config.baseConfig,
+                ...parameters,
+                seed: baseSeed + replicate,
+                verbose: false
+            });
+            simulation.initialize();
+            const stats = simulation.runToCompletion();
+
+            // A run is won by an opinion that reached consensus or the configured dominance threshold
+            const decided = stats.completionReason === 'consensus' || stats.completionReason === 'dominance';
+            if (decided && stats.dominantOpinion === 'red') {
+                redWins++;
+                consensusTimeTotal += stats.interactionCount;
+            } else if (decided && stats.dominantOpinion === 'blue') {
+                blueWins++;
+                consensusTimeTotal += stats.interactionCount;
+            }
+
+            finalBlueProportionTotal += stats.opinionCounts.blue / simulation.agents.length;
+        }
+
+        const consensusCount = redWins + blueWins;
+
+        return {
+            parameters,
+            replicates,
+            redWins,
+            blueWins,
+            noConsensus: replicates - consensusCount,
+            pRedConsensus: redWins / replicates,
+            pBlueConsensus: blueWins / replicates,
+            meanTimeToConsensus: consensusCount > 0 ? consensusTimeTotal / consensusCount : null,
+            meanFinalBlueProportion: finalBlueProportionTotal / replicates
+        };
+    }
+
+    /**
+     * Run the whole sweep synchronously
+     * @returns {Object[]} Results for every grid cell
+     */
+    run() {
+        this.results = [];
+        this.isRunning = true;
+
+        const cells = this.getCells();
+        try {
+            cells.forEach((parameters, index) => {
+                const result = this.runCell(parameters);
+                this.results.push(result);
+
+                if (this.onCellComplete) {
+                    this.onCellComplete(result, index + 1, cells.length);
+                }
+            });
+        } finally {
+            this.isRunning = false;
+        }
+
+        if (this.onSweepComplete) {
+            this.onSweepComplete(this.results);
+        }
+
+        return this.results;
+    }
+
+    /**
+     * Run the sweep one cell at a time, yielding to the event loop between cells
+     * so a browser page stays responsive. Can be interrupted with stop().
+     * @returns {Promise<Object[]>} Resolves with the results of every completed cell; rejects if a cell throws
+     */
+    runAsync() {
+        this.results = [];
+        this.isRunning = true;
+        this.stopRequested = false;
+
+        const cells = this.getCells();
+
+        return new Promise((resolve, reject) => {
+            const runNext = index => {
+                if (index >= cells.length || this.stopRequested) {
+                    this.isRunning = false;
+                    if (this.onSweepComplete) {
+                        this.onSweepComplete(this.results);
+                    }
+                    resolve(this.results);
+                    return;
+                }
+
+                try {
+                    const result = this.runCell(cells[index]);
+                    this.results.push(result);
+
+                    if (this.onCellComplete) {
+                        this.onCellComplete(result, index + 1, cells.length);
+                    }
+                } catch (error) {
+                    this.isRunning = false;
+                    reject(error);
+                    return;
+                }
+
+                setTimeout(() => runNext(index + 1), 0);
+            };
+
+            runNext(0);
+        });
+    }
+
+    /**
+     * Request that an asynchronous sweep stops after the current cell
+     */
+    stop() {
+        this.stopRequested = true;
+    }
+}
+
+/**
+ * Validate the number of replicate runs per grid cell
+ * @param {number} value - Configured number of replicates, or undefined/null for the default
+ * @returns {number} The number of replicates
+ */
+function resolveReplicates(value) {
+    if (value === undefined || value === null) return DEFAULT_REPLICATES;
+
+    if (!Number.isInteger(value) || value < 1) {
+        console.warn(`Invalid replicates: ${value} (expected a positive integer), using ${DEFAULT_REPLICATES}`);
+        return DEFAULT_REPLICATES;
+    }
+    return value;
+}
+
+// Export for Node (CommonJS) or create a global sweepModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ParameterSweep,
+        SWEEP_PARAMETERS
+    };
+} else {
+    globalThis.sweepModule = {
+        ParameterSweep,
+        SWEEP_PARAMETERS
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * traits.js
+ *
+ * This module defines the per-agent traits of the Opinion Dynamics simulation and the
+ * distributions they are drawn from. Traits modulate how an agent applies the shared
+ * update rule: how much it resists moving (commitment), how far it moves when it does
+ * (susceptibility multiplier), how strongly it pulls back to its initial belief
+ * (stubbornness), and how strongly it moves the agents it talks to (persuasiveness).
+ * With every trait at its default the update rules behave exactly as without traits.
+ */
+
+// Trait definitions: allowed range, value for agents without a distribution, and display label
+const TRAITS = {
+    stubbornness: {
+        label: 'Stubbornness',
+        min: 0,
+        max: 1,
+        defaultValue: 0
+    },
+    susceptibilityMultiplier: {
+        label: 'Susceptibility',
+        min: 0,
+        max: 2,
+        defaultValue: 1
+    },
+    persuasiveness: {
+        label: 'Persuasiveness',
+        min: 0,
+        max: 2,
+        defaultValue: 1
+    },
+    commitment: {
+        label: 'Commitment',
+        min: 0,
+        max: 1,
+        defaultValue: 0
+    }
+};
+
+// Registry of trait distributions with their default parameters and, where narrower than any finite number, their allowed ranges
+const TRAIT_DISTRIBUTIONS = {
+    'constant': {
+        name: 'Constant',
+        defaults: { value: null }, // null means the trait's default value
+        sample: (rng, params, trait) => params.value ?? trait.defaultValue
+    },
+    'uniform': {
+        name: 'Uniform',
+        defaults: { min: 0, max: 1 },
+        sample: (rng, params) => params.min + rng.next() * (params.max - params.min)
+    },
+    'normal': {
+        name: 'Normal (clipped to the trait range)',
+        defaults: { mean: 0.5, stdDev: 0.2 },
+        ranges: { stdDev: [0, Infinity] },
+        sample: (rng, params) => rng.normal(params.mean, params.stdDev)
+    },
+    'bernoulli': {
+        name: 'Two values (share p takes the high value)',
+        defaults: { p: 0.1, low: 0, high: 1 },
+        ranges: { p: [0, 1] },
+        sample: (rng, params) => rng.next() < params.p ? params.high : params.low
+    }
+};
+
+/**
+ * Resolve a trait distribution and merge its default parameters with overrides
+ * Overrides that are not finite numbers in the parameter's range, and a uniform range with min above max, fall back to the defaults.
+ * @param {string} traitName - Key of TRAITS
+ * @param {Object} spec - Distribution spec: { type, ...params } where type is a key of TRAIT_DISTRIBUTIONS (default 'constant')
+ * @returns {Object} Sampler with the trait name, distribution type and merged params
+ */
+function createTraitSampler(traitName, spec = {}) {
+    let type = spec.type || 'constant';
+    if (!TRAIT_DISTRIBUTIONS[type]) {
+        console.error(`Unknown distribution "${type}" for trait ${traitName}, using constant`);
+        type = 'constant';
+    }
+
+    const { defaults, ranges = {} } = TRAIT_DISTRIBUTIONS[type];
+    const params = { ...defaults };
+    Object.keys(defaults).forEach(name => {
+        const value = spec[name];
+        if (value === undefined || value === null) return;
+
+        const [min, max] = ranges[name] || [-Infinity, Infinity];
+        if (Number.isFinite(value) && value >= min && value <= max) {
+            params[name] = value;
+        } else {
+            console.warn(`Invalid ${name} for the ${traitName} distribution: ${value}, using ${defaults[name] ?? 'the trait default'}`);
+        }
+    });
+
+    if (type === 'uniform' && params.min > params.max) {
+        console.warn(`Invalid range for the ${traitName} distribution: min ${params.min} is above max ${params.max}, using ${defaults.min} to ${defaults.max}`);
+        params.min = defaults.min;
+        params.max = defaults.max;
+    }
+
+    return {
+        trait: traitName,
+        type,
+        params
+    };
+}
+
+/**
+ * Draw one trait value and clip it to the trait's range
+ * @param {Object} sampler - Result of createTraitSampler()
+ * @param {SeededRandom} rng - Random number generator of the simulation
+ * @returns {number} Trait value
+ */
+function sampleTrait(sampler, rng) {
+    const trait = TRAITS[sampler.trait];
+    const value = TRAIT_DISTRIBUTIONS[sampler.type].sample(rng, sampler.params, trait);
+    return Math.max(trait.min, Math.min(trait.max, value));
+}
+
+/**
+ * Scale a trait value to [0, 1] over the trait's range, for display
+ * @param {string} traitName - Key of TRAITS
+ * @param {number} value - Trait value
+ * @returns {number} Position of the value in the trait's range
+ */
+function normalizeTrait(traitName, value) {
+    const trait = TRAITS[traitName];
+    return (value - trait.min) / (trait.max - trait.min);
+}
+
+// Export for Node (CommonJS) or create a global traitsModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRAITS,
+        TRAIT_DISTRIBUTIONS,
+        createTraitSampler,
+        sampleTrait,
+        normalizeTrait
+    };
+} else {
+    globalThis.traitsModule = {
+        TRAITS,
+        TRAIT_DISTRIBUTIONS,
+        createTraitSampler,
+        sampleTrait,
+        normalizeTrait
+    };
+}
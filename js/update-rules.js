@@ -0,0 +1,247 @@
+/**
+ * update-rules.js
+ *
+ * This module defines the belief-update rules available to agents in the Opinion Dynamics
+ * simulation. A rule receives the updating agent, its interaction partner and a context
+ * ({ agentMap, random, params }) and returns the agent's new belief value; the Agent class
+ * clamps the result to [-1, 1]. Zealots never reach a rule because they never update.
+ */
+
+/**
+ * Mean belief of an agent's neighbors
+ * @param {Agent} agent - Agent whose neighbors are averaged
+ * @param {Map<number, Agent>} agentMap - Map of all agents by their IDs
+ * @returns {number|null} Mean belief, or null if the agent has no neighbors
+ */
+function meanNeighborBelief(agent, agentMap) {
+    let total = 0;
+    let count = 0;
+    agent.neighbors.forEach(neighborId => {
+        const neighbor = agentMap.get(neighborId);
+        if (neighbor) {
+            total += neighbor.beliefValue;
+            count++;
+        }
+    });
+    return count > 0 ? total / count : null;
+}
+
+/**
+ * Susceptibility rule (default): the model's original update.
+ * Meeting a zealot means adopting its belief with the agent's zealot influence probability.
+ * Otherwise the belief moves toward the partner by
+ * baseInfluenceRate × susceptibility × (1 - persuasivenessWeight × |partner belief|).
+ */
+function susceptibilityRule(agent, otherAgent, { agentMap, random }) {
+    if (otherAgent.isZealot) {
+        return random() < agent.zealotInfluenceProbability ? otherAgent.beliefValue : agent.beliefValue;
+    }
+
+    const susceptibility = agent.calculateSusceptibility(agentMap);
+    const persuasiveness = 1 - agent.persuasivenessWeight * Math.abs(otherAgent.beliefValue);
+    const influenceStrength = agent.baseInfluenceRate * susceptibility * persuasiveness;
+    const direction = Math.sign(otherAgent.beliefValue - agent.beliefValue);
+    return agent.beliefValue + direction * influenceStrength;
+}
+
+/**
+ * Voter model: copy the partner's belief with a fixed probability
+ */
+function voterRule(agent, otherAgent, { random, params }) {
+    return random() < params.adoptionProbability ? otherAgent.beliefValue : agent.beliefValue;
+}
+
+/**
+ * Majority rule: take the side held by most neighbors (optionally counting oneself).
+ * An agent in the minority moves to the mean belief of the majority side; ties change nothing.
+ */
+function majorityRule(agent, otherAgent, { agentMap, params }) {
+    let redCount = 0, blueCount = 0;
+    let redTotal = 0, blueTotal = 0;
+
+    const members = params.includeSelf ? [agent.id, ...agent.neighbors] : agent.neighbors;
+    members.forEach(memberId => {
+        const member = memberId === agent.id ? agent : agentMap.get(memberId);
+        if (!member) return;
+        if (member.beliefValue < 0) {
+            redCount++;
+            redTotal += member.beliefValue;
+        } else {
+            blueCount++;
+            blueTotal += member.beliefValue;
+        }
+    });
+
+    if (redCount > blueCount && agent.beliefValue >= 0) return redTotal / redCount;
+    if (blueCount > redCount && agent.beliefValue < 0) return blueTotal / blueCount;
+    return agent.beliefValue;
+}
+
+/**
+ * Deffuant bounded confidence: if the partner's belief is within the confidence bound,
+ * move toward it by the convergence parameter; otherwise ignore the partner
+ */
+function deffuantRule(agent, otherAgent, { params }) {
+    const difference = otherAgent.beliefValue - agent.beliefValue;
+    if (Math.abs(difference) >= params.confidenceBound) {
+        return agent.beliefValue;
+    }
+    return agent.beliefValue + params.convergence * difference;
+}
+
+/**
+ * Hegselmann–Krause bounded confidence: adopt the mean belief of oneself and every
+ * neighbor whose belief is within the confidence bound
+ */
+function hegselmannKrauseRule(agent, otherAgent, { agentMap, params }) {
+    let total = agent.beliefValue;
+    let count = 1;
+    agent.neighbors.forEach(neighborId => {
+        const neighbor = agentMap.get(neighborId);
+        if (neighbor && Math.abs(neighbor.beliefValue - agent.beliefValue) <= params.confidenceBound) {
+            total += neighbor.beliefValue;
+            count++;
+        }
+    });
+    return total / count;
+}
+
+/**
+ * DeGroot averaging: weighted average of one's own belief and the mean neighbor belief
+ */
+function deGrootRule(agent, otherAgent, { agentMap, params }) {
+    const neighborMean = meanNeighborBelief(agent, agentMap);
+    if (neighborMean === null) {
+        return agent.beliefValue;
+    }
+    return params.selfWeight * agent.beliefValue + (1 - params.selfWeight) * neighborMean;
+}
+
+/**
+ * Naming game with finite memory (Centola et al. 2018): the agent remembers the opinions
+ * its last partners expressed and holds the one most frequent in memory. The belief is
+ * the memory balance (blue - red) / size, so its sign is the majority; ties keep the
+ * current belief.
+ */
+function namingGameRule(agent, otherAgent, { params }) {
+    agent.nameMemory.push(otherAgent.opinion);
+    if (agent.nameMemory.length > params.memoryLength) {
+        agent.nameMemory.shift();
+    }
+
+    let balance = 0;
+    agent.nameMemory.forEach(name => {
+        balance += name === 'blue' ? 1 : -1;
+    });
+
+    if (balance === 0) {
+        return agent.beliefValue;
+    }
+    return balance / agent.nameMemory.length;
+}
+
+// Registry of belief-update rules with their default parameters and the allowed range of each numeric
+// parameter ([min, max], plus true when it must be an integer)
+const UPDATE_RULES = {
+    'susceptibility': {
+        name: 'Susceptibility-weighted influence (default)',
+        defaults: {},
+        update: susceptibilityRule
+    },
+    'voter': {
+        name: 'Voter model',
+        defaults: { adoptionProbability: 1.0 },
+        ranges: { adoptionProbability: [0, 1] },
+        update: voterRule
+    },
+    'majority': {
+        name: 'Majority rule',
+        defaults: { includeSelf: true },
+        update: majorityRule
+    },
+    'deffuant': {
+        name: 'Deffuant bounded confidence',
+        defaults: { confidenceBound: 0.5, convergence: 0.3 },
+        ranges: { confidenceBound: [0, 2], convergence: [0, 1] },
+        update: deffuantRule
+    },
+    'hegselmann-krause': {
+        name: 'Hegselmann–Krause bounded confidence',
+        defaults: { confidenceBound: 0.3 },
+        ranges: { confidenceBound: [0, 2] },
+        update: hegselmannKrauseRule
+    },
+    'degroot': {
+        name: 'DeGroot averaging',
+        defaults: { selfWeight: 0.5 },
+        ranges: { selfWeight: [0, 1] },
+        update: deGrootRule
+    },
+    'naming-game': {
+        name: 'Naming game with memory',
+        defaults: { memoryLength: 12 },
+        ranges: { memoryLength: [1, Infinity, true] },
+        update: namingGameRule
+    }
+};
+
+const DEFAULT_UPDATE_RULE = 'susceptibility';
+
+/**
+ * Resolve a rule by name and merge its default parameters with overrides
+ * Overrides outside a parameter's range, or of another type than its default, fall back to the default.
+ * @param {string} ruleName - Key of UPDATE_RULES
+ * @param {Object} params - Parameter overrides
+ * @returns {Object} Rule with its name, update function and merged params
+ */
+function createUpdateRule(ruleName = DEFAULT_UPDATE_RULE, params = {}) {
+    let rule = UPDATE_RULES[ruleName];
+    if (!rule) {
+        console.error(`Unknown update rule "${ruleName}", using ${DEFAULT_UPDATE_RULE}`);
+        ruleName = DEFAULT_UPDATE_RULE;
+        rule = UPDATE_RULES[ruleName];
+    }
+
+    const ranges = rule.ranges || {};
+    const overrides = params || {};
+    const merged = { ...rule.defaults };
+    Object.keys(rule.defaults).forEach(name => {
+        const value = overrides[name];
+        if (value === undefined || value === null) return;
+
+        let valid;
+        if (typeof rule.defaults[name] === 'boolean') {
+            valid = typeof value === 'boolean';
+        } else {
+            const [min, max, integer] = ranges[name];
+            valid = Number.isFinite(value) && value >= min && value <= max && (!integer || Number.isInteger(value));
+        }
+        if (valid) {
+            merged[name] = value;
+        } else {
+            console.warn(`Invalid ${name} for the ${ruleName} update rule: ${value}, using ${rule.defaults[name]}`);
+        }
+    });
+
+    return {
+        id: ruleName,
+        name: rule.name,
+        update: rule.update,
+        params: merged
+    };
+}
+
+// Export for Node (CommonJS) or create a global updateRulesModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UPDATE_RULES,
+        DEFAULT_UPDATE_RULE,
+        createUpdateRule
+    };
+} else {
+    globalThis.updateRulesModule = {
+        UPDATE_RULES,
+        DEFAULT_UPDATE_RULE,
+        createUpdateRule
+    };
+}
@@ -6,6 +6,25 @@
  * and the evolution of opinions over time.
  */
 
+// Metrics the metrics panel can plot: fixed y domains for bounded metrics, null to fit the data
+const METRIC_DEFINITIONS = {
+    meanBelief: { label: 'Mean Belief', domain: [-1, 1], format: '.2f' },
+    bimodality: { label: 'Polarization (Bimodality)', domain: [0, 1], format: '.2f' },
+    crossEdgeFraction: { label: 'Cross-Opinion Links', domain: [0, 1], format: '.0%' },
+    flips: { label: 'Opinion Flips', domain: null, format: 'd' },
+    beliefVariance: { label: 'Belief Variance', domain: [0, 1], format: '.2f' },
+    clusterCount: { label: 'Opinion Clusters', domain: null, format: 'd' }
+};
+
+// Height of each metric chart, and its margins inside that height
+const METRIC_CHART_HEIGHT = 110;
+const METRIC_CHART_MARGIN = { top: 18, bottom: 22 };
+
+// Size of the inspector's belief trajectory sparkline, and the most points it draws
+const SPARKLINE_WIDTH = 190;
+const SPARKLINE_HEIGHT = 48;
+const SPARKLINE_MAX_POINTS = 300;
+
 /**
  * OpinionVisualizer class to handle all visualization aspects
  */
@@ -15,14 +34,28 @@ class OpinionVisualizer {
      * @param {Object} options - Visualization options
      * @param {string} options.agentPoolContainer - ID of the container element for agent pool visualization
      * @param {string} options.opinionPlotContainer - ID of the container element for opinion evolution plot
+     * @param {string} options.timeAxis - Opinion plot x-axis: 'interactions' (default) or 'timeSteps'
+     * @param {string} options.metricsContainer - ID of the container element for the metrics panel (optional)
+     * @param {string[]} options.metrics - Keys of METRIC_DEFINITIONS shown in the metrics panel
+     * @param {string} options.traitDisplay - Agent trait (key of traitsModule.TRAITS) shown by agent size and histogram shading (default none)
+     * @param {function(Object): boolean} options.onAgentEdit - Applies an edit made on the canvas to the simulation and
+     *   reports whether it changed anything (see applyAgentEdit in simulation.js); without it agents can only be inspected
      */
     constructor(options = {}) {
         this.agentPoolContainerId = options.agentPoolContainer || 'agent-pool-container';
         this.opinionPlotContainerId = options.opinionPlotContainer || 'opinion-plot-container';
+        this.timeAxis = options.timeAxis || 'interactions';
+        this.metrics = options.metrics || ['meanBelief', 'bimodality', 'crossEdgeFraction'];
+        this.metricCharts = null;
+        this.traitDisplay = options.traitDisplay || null;
+        this.onAgentEdit = options.onAgentEdit || null;
+        this.selectedAgentId = null;
+        this.hoveredAgentId = null;
         
         // Get containers
         this.agentPoolContainer = d3.select(`#${this.agentPoolContainerId}`);
         this.opinionPlotContainer = d3.select(`#${this.opinionPlotContainerId}`);
+        this.metricsContainer = options.metricsContainer ? d3.select(`#${options.metricsContainer}`) : null;
         
         // Check if agent-pool-visualization exists, if not create it
         if (this.agentPoolContainer.select('.agent-pool-visualization').empty()) {
@@ -91,6 +124,11 @@ class OpinionVisualizer {
         // Initialize the opinion plot
         this.setupOpinionPlot();
         
+        // Panel showing the agent clicked in the agent pool
+        this.setupInspector();
+        this.inspectorSummaryRequest = null; // Pending interaction summary from a worker-backed simulation
+        this.inspectorSummaryAgentId = null; // Agent whose worker summary the inspector shows
+        
         // Store agent data
         this.agentData = [];
         this.simulation = null;
@@ -118,6 +156,37 @@ class OpinionVisualizer {
         };
     }
     
+    /**
+     * Get the radius of an agent circle: uniform, or growing with the displayed trait
+     * @param {Object} agentData - Agent data with its traits
+     * @returns {number} Radius in pixels
+     */
+    getAgentRadius(agentData) {
+        if (!this.traitDisplay) return 5;
+        return 2.5 + 5 * traitsModule.normalizeTrait(this.traitDisplay, agentData.traits[this.traitDisplay]);
+    }
+    
+    /**
+     * Choose the agent trait shown by agent size and histogram shading
+     * @param {string|null} traitDisplay - Key of traitsModule.TRAITS, or null for none
+     */
+    setTraitDisplay(traitDisplay) {
+        this.traitDisplay = traitDisplay;
+        if (!this.simulation || !this.agentData) return;
+        
+        this.agentData.forEach(d => {
+            d.radius = this.getAgentRadius(d);
+        });
+        this.agentPoolGroup.selectAll('.agent')
+            .attr('r', d => d.radius);
+        
+        // The collision force caches radii, so hand it the new ones
+        this.forceSimulation.force('collision').radius(d => d.radius * 1.5);
+        this.forceSimulation.alpha(0.3).restart();
+        
+        this.updateHistogram();
+    }
+    
     /**
      * Handle window resize
      */
@@ -184,6 +253,7 @@ class OpinionVisualizer {
         // Update the visualization
         if (this.simulation) {
             const stats = this.simulation.getStatistics();
+            this.setupMetricsPanel();
             this.updateOpinionPlot();
             this.updateHistogram();
         }
@@ -296,6 +366,9 @@ class OpinionVisualizer {
             
         // Update pairing lines
         this.updatePairingLines();
+        
+        // Keep the selection ring on the selected agent
+        this.updateSelectionRing();
         });
     }
     
@@ -373,6 +446,462 @@ class OpinionVisualizer {
         }
     }
     
+    /**
+     * Build the network edge data from the agents' neighbor lists, with one line per connected pair
+     * @returns {Object[]} Edges with source and target agent IDs, and whether the link goes both ways
+     */
+    buildEdgeData() {
+        const edgeMap = new Map();
+        this.agentData.forEach(agent => {
+            agent.neighbors.forEach(neighborId => {
+                const key = agent.id < neighborId ? `${agent.id}-${neighborId}` : `${neighborId}-${agent.id}`;
+                if (edgeMap.has(key)) {
+                    // The reverse direction is already drawn
+                    edgeMap.get(key).mutual = true;
+                } else {
+                    edgeMap.set(key, {
+                        source: agent.id,
+                        target: neighborId,
+                        mutual: !this.isDirected
+                    });
+                }
+            });
+        });
+        return Array.from(edgeMap.values());
+    }
+    
+    /**
+     * Draw the network edges and hand them to the link force
+     */
+    drawNetworkEdges() {
+        this.networkEdgesGroup.selectAll('.network-edge').remove();
+        
+        // Create network edges with lighter appearance
+        this.networkEdgesGroup.selectAll('.network-edge')
+            .data(this.edgeData)
+            .enter()
+            .append('line')
+            .attr('class', 'network-edge')
+            .attr('stroke', '#ccc')  // Much lighter color
+            .attr('stroke-width', 1)  // Thinner
+            .attr('stroke-opacity', 0.6)  // More transparent
+            .attr('marker-end', d => d.mutual ? null : 'url(#edge-arrow)');
+        
+        this.forceSimulation.force('link').links(this.edgeData);
+    }
+    
+    /**
+     * Whether canvas edits can be applied: there is a simulation that has not ended and a handler for edits
+     * @returns {boolean} True if agents can be edited
+     */
+    isEditable() {
+        return !!(this.onAgentEdit && this.simulation && !this.simulation.isComplete);
+    }
+    
+    /**
+     * Create the drag behavior of the agent circles: a click selects an agent, and dragging
+     * from one agent to another adds the link between them, or removes it if it exists
+     * @returns {Object} d3 drag behavior
+     */
+    createAgentDrag() {
+        return d3.drag()
+            .on('start', (event, d) => {
+                if (!this.isEditable()) return;
+                this.editLink = this.pairingLinesGroup.append('line')
+                    .attr('class', 'edit-link')
+                    .attr('x1', d.x)
+                    .attr('y1', d.y)
+                    .attr('x2', d.x)
+                    .attr('y2', d.y)
+                    .attr('stroke', '#333')
+                    .attr('stroke-width', 1.5)
+                    .attr('stroke-dasharray', '4 3');
+            })
+            .on('drag', event => {
+                if (this.editLink) {
+                    this.editLink.attr('x2', event.x).attr('y2', event.y);
+                }
+            })
+            .on('end', (event, d) => {
+                if (this.editLink) {
+                    this.editLink.remove();
+                    this.editLink = null;
+                }
+                
+                // A press without movement is a click
+                if (Math.hypot(event.x - d.x, event.y - d.y) < 3) {
+                    this.selectAgent(d.id);
+                    return;
+                }
+                
+                const target = this.findAgentAt(event.x, event.y, d);
+                if (target && this.isEditable()) {
+                    this.requestEdit({
+                        type: d.neighbors.includes(target.id) ? 'removeEdge' : 'addEdge',
+                        agentId: d.id,
+                        neighborId: target.id
+                    });
+                }
+            });
+    }
+    
+    /**
+     * Find the agent drawn at a point of the agent pool
+     * @param {number} x - X coordinate in the agent pool
+     * @param {number} y - Y coordinate in the agent pool
+     * @param {Object} exclude - Agent data to skip, e.g. the agent a drag started from
+     * @returns {Object|null} The closest agent data within a few pixels of its circle, or null
+     */
+    findAgentAt(x, y, exclude) {
+        let closest = null;
+        let closestDistance = Infinity;
+        this.agentData.forEach(d => {
+            if (d === exclude) return;
+            const distance = Math.hypot(d.x - x, d.y - y);
+            if (distance <= d.radius + 4 && distance < closestDistance) {
+                closest = d;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+    
+    /**
+     * Hand an edit to the simulation and redraw what it changed
+     * @param {Object} edit - Edit as described for applyAgentEdit() in simulation.js
+     */
+    requestEdit(edit) {
+        if (!this.isEditable() || !this.onAgentEdit(edit)) return;
+        
+        if (edit.type === 'addEdge' || edit.type === 'removeEdge') {
+            this.edgeData = this.buildEdgeData();
+            this.drawNetworkEdges();
+        }
+        this.update(this.simulation.getStatistics());
+    }
+    
+    /**
+     * Create the agent inspector panel over the agent pool, hidden until an agent is hovered or selected
+     */
+    setupInspector() {
+        this.inspector = this.agentPoolContainer.append('div')
+            .attr('class', 'agent-inspector hidden');
+        
+        const header = this.inspector.append('div')
+            .attr('class', 'inspector-header');
+        this.inspectorTitle = header.append('span')
+            .attr('class', 'inspector-title');
+        header.append('button')
+            .attr('class', 'inspector-close')
+            .attr('title', 'Close')
+            .text('×')
+            .on('click', () => this.selectAgent(null));
+        
+        this.inspectorBelief = this.inspector.append('div')
+            .attr('class', 'inspector-row');
+        this.inspectorBeliefSlider = this.inspector.append('input')
+            .attr('type', 'range')
+            .attr('class', 'inspector-belief-slider')
+            .attr('min', -1)
+            .attr('max', 1)
+            .attr('step', 0.01)
+            .on('input', event => {
+                this.requestEdit({ type: 'setBelief', agentId: this.selectedAgentId, beliefValue: parseFloat(event.target.value) });
+            });
+        
+        const zealotLabel = this.inspector.append('label')
+            .attr('class', 'inspector-row');
+        this.inspectorZealot = zealotLabel.append('input')
+            .attr('type', 'checkbox')
+            .on('change', event => {
+                this.requestEdit({ type: 'setZealot', agentId: this.selectedAgentId, isZealot: event.target.checked });
+            });
+        zealotLabel.append('span').text(' Zealot');
+        
+        this.inspectorNeighborsTitle = this.inspector.append('div')
+            .attr('class', 'inspector-section');
+        this.inspectorNeighbors = this.inspector.append('div')
+            .attr('class', 'inspector-chips');
+        
+        this.inspectorTrajectoryTitle = this.inspector.append('div')
+            .attr('class', 'inspector-section');
+        this.inspectorSparkline = this.inspector.append('svg')
+            .attr('class', 'inspector-sparkline')
+            .attr('width', SPARKLINE_WIDTH)
+            .attr('height', SPARKLINE_HEIGHT);
+        this.inspectorFlips = this.inspector.append('div')
+            .attr('class', 'inspector-row');
+        
+        this.inspectorPartnersTitle = this.inspector.append('div')
+            .attr('class', 'inspector-section');
+        this.inspectorPartners = this.inspector.append('div')
+            .attr('class', 'inspector-chips');
+        
+        this.inspectorHistoryNote = this.inspector.append('div')
+            .attr('class', 'inspector-hint hidden');
+        
+        this.inspectorHint = this.inspector.append('div')
+            .attr('class', 'inspector-hint');
+        
+        // Clicking the empty background closes the inspector
+        this.agentPoolSvg.on('click', event => {
+            if (event.target === this.agentPoolSvg.node()) {
+                this.selectAgent(null);
+            }
+        });
+    }
+    
+    /**
+     * Select an agent to show in the inspector until another is selected; only a selected agent can be edited
+     * @param {number|null} agentId - ID of the agent, or null to close the inspector
+     */
+    selectAgent(agentId) {
+        const agent = agentId === null || !this.simulation ? null : this.simulation.agentMap.get(agentId);
+        this.selectedAgentId = agent ? agent.id : null;
+        this.showInspector();
+    }
+    
+    /**
+     * Preview a hovered agent in the inspector while no agent is selected
+     * @param {number|null} agentId - ID of the hovered agent, or null when the pointer leaves it
+     */
+    hoverAgent(agentId) {
+        this.hoveredAgentId = agentId;
+        if (this.selectedAgentId === null) {
+            this.showInspector();
+        }
+    }
+    
+    /**
+     * Get the agent shown in the inspector: the selected one, else the hovered one
+     * @returns {number|null} Agent ID, or null if the inspector is closed
+     */
+    getInspectedAgentId() {
+        return this.selectedAgentId ?? this.hoveredAgentId;
+    }
+    
+    /**
+     * Show or hide the inspector and the ring around the inspected agent
+     */
+    showInspector() {
+        const agentId = this.getInspectedAgentId();
+        this.inspector.classed('hidden', agentId === null);
+        
+        this.agentPoolGroup.selectAll('.agent-selection').remove();
+        if (agentId !== null) {
+            this.agentPoolGroup.append('circle')
+                .attr('class', 'agent-selection')
+                .attr('fill', 'none')
+                .attr('stroke', '#333')
+                .attr('stroke-width', 1.5)
+                .attr('stroke-dasharray', this.selectedAgentId === null ? '3 2' : null)
+                .style('pointer-events', 'none');
+            this.updateSelectionRing();
+            this.updateInspector();
+        }
+    }
+    
+    /**
+     * Move the selection ring to the inspected agent's circle
+     */
+    updateSelectionRing() {
+        const agentId = this.getInspectedAgentId();
+        if (agentId === null) return;
+        const d = this.agentData.find(agent => agent.id === agentId);
+        if (!d) return;
+        this.agentPoolGroup.select('.agent-selection')
+            .attr('cx', d.x)
+            .attr('cy', d.y)
+            .attr('r', d.radius + 4);
+    }
+    
+    /**
+     * Show the inspected agent's current state and interaction history in the inspector
+     */
+    updateInspector() {
+        const agentId = this.getInspectedAgentId();
+        if (agentId === null || !this.simulation) return;
+        const agent = this.simulation.agentMap.get(agentId);
+        const pinned = this.selectedAgentId !== null;
+        const editable = pinned && this.isEditable();
+        
+        this.inspectorTitle.text(`Agent ${agent.id}`);
+        this.inspectorBelief.text(`Belief ${agent.beliefValue.toFixed(2)} (${agent.opinion})`);
+        
+        // Leave the slider alone while it is being dragged
+        const slider = this.inspectorBeliefSlider.node();
+        if (slider.ownerDocument.activeElement !== slider) {
+            slider.value = agent.beliefValue;
+        }
+        slider.disabled = !editable;
+        this.inspectorZealot.property('checked', agent.isZealot).property('disabled', !editable);
+        if (!pinned) {
+            this.inspectorHint.classed('hidden', false).text('Click the agent to keep it here and edit it');
+        } else {
+            this.inspectorHint.classed('hidden', !editable).text('Drag from one agent to another to add or remove a link');
+        }
+        
+        // Neighbors, colored by their belief; a click selects them
+        const shownNeighbors = agent.neighbors.slice(0, 30);
+        this.inspectorNeighborsTitle.text(`${this.isDirected ? 'Follows' : 'Neighbors'} (${agent.neighbors.length})`);
+        this.inspectorNeighbors.selectAll('*').remove();
+        shownNeighbors.forEach(neighborId => {
+            const neighbor = this.simulation.agentMap.get(neighborId);
+            const color = this.getAgentColor(neighbor.beliefValue);
+            this.inspectorNeighbors.append('span')
+                .attr('class', 'inspector-chip')
+                .style('background-color', color.color)
+                .style('opacity', Math.max(0.4, color.opacity))
+                .attr('title', `Belief ${neighbor.beliefValue.toFixed(2)}${neighbor.isZealot ? ', zealot' : ''}`)
+                .text(neighbor.id)
+                .on('click', () => this.selectAgent(neighbor.id));
+        });
+        if (agent.neighbors.length > shownNeighbors.length) {
+            this.inspectorNeighbors.append('span')
+                .text(`+${agent.neighbors.length - shownNeighbors.length} more`);
+        }
+        
+        // A worker-backed simulation keeps the interaction history in the worker, which summarizes it on request
+        if (typeof this.simulation.summarizeInteractions === 'function') {
+            this.requestInteractionSummary(agent.id);
+        } else {
+            this.showInteractionSummary(agent.summarizeInteractions());
+        }
+    }
+    
+    /**
+     * Fetch the inspected agent's interaction summary from a worker-backed simulation and show it
+     * One request is pending at a time; the sections stay hidden until the first summary of an agent arrives.
+     * @param {number} agentId - ID of the inspected agent
+     */
+    requestInteractionSummary(agentId) {
+        if (this.inspectorSummaryAgentId !== agentId) {
+            this.setInteractionSectionsHidden(true);
+        }
+        if (this.inspectorSummaryRequest) return;
+        
+        const simulation = this.simulation;
+        this.inspectorSummaryRequest = simulation.summarizeInteractions(agentId)
+            .then(summary => {
+                if (this.simulation === simulation && this.getInspectedAgentId() === agentId) {
+                    this.inspectorSummaryAgentId = agentId;
+                    this.showInteractionSummary(summary);
+                }
+            })
+            .catch(error => {
+                if (this.simulation === simulation && this.getInspectedAgentId() === agentId) {
+                    this.setInteractionSectionsHidden(true);
+                    this.inspectorHistoryNote.classed('hidden', false).text(`Interaction history unavailable: ${error.message}`);
+                }
+            })
+            .finally(() => {
+                this.inspectorSummaryRequest = null;
+                
+                // Another agent was inspected while the request was pending
+                const inspectedId = this.getInspectedAgentId();
+                if (this.simulation === simulation && inspectedId !== null && inspectedId !== agentId) {
+                    this.updateInspector();
+                }
+            });
+    }
+    
+    /**
+     * Show or hide the inspector sections drawn from the interaction history
+     * @param {boolean} hidden - Whether to hide them
+     */
+    setInteractionSectionsHidden(hidden) {
+        [this.inspectorTrajectoryTitle, this.inspectorSparkline, this.inspectorFlips, this.inspectorPartnersTitle, this.inspectorPartners]
+            .forEach(section => section.classed('hidden', hidden));
+    }
+    
+    /**
+     * Draw an agent's interaction summary in the inspector
+     * @param {Object} summary - Result of Agent.summarizeInteractions()
+     */
+    showInteractionSummary(summary) {
+        this.inspectorHistoryNote.classed('hidden', true);
+        this.setInteractionSectionsHidden(false);
+        
+        // Belief trajectory and flips over the agent's own interactions
+        const interactionCount = summary.trajectory.length - 1;
+        this.inspectorTrajectoryTitle.text(`Belief over ${interactionCount} interaction${interactionCount === 1 ? '' : 's'}`);
+        this.drawSparkline(summary.trajectory);
+        this.inspectorFlips.text(`Opinion flips: ${summary.flipsToRed + summary.flipsToBlue} (${summary.flipsToBlue} to blue, ${summary.flipsToRed} to red)`);
+        
+        // Partners, most frequent first, colored by their belief at the latest interaction
+        const shownPartners = summary.partners.slice(0, 30);
+        this.inspectorPartnersTitle.text(`Interaction partners (${summary.partners.length})`);
+        this.inspectorPartners.selectAll('*').remove();
+        shownPartners.forEach(partner => {
+            const color = this.getAgentColor(partner.lastBelief);
+            this.inspectorPartners.append('span')
+                .attr('class', 'inspector-chip')
+                .style('background-color', color.color)
+                .style('opacity', Math.max(0.4, color.opacity))
+                .attr('title', `${partner.count} interaction${partner.count === 1 ? '' : 's'}, belief ${partner.lastBelief.toFixed(2)} at the latest`)
+                .text(partner.count > 1 ? `${partner.agentId} ×${partner.count}` : partner.agentId)
+                .on('click', () => this.selectAgent(partner.agentId));
+        });
+        if (summary.partners.length > shownPartners.length) {
+            this.inspectorPartners.append('span')
+                .text(`+${summary.partners.length - shownPartners.length} more`);
+        } else if (summary.partners.length === 0) {
+            this.inspectorPartners.append('span')
+                .text('None recorded');
+        }
+    }
+    
+    /**
+     * Draw a belief trajectory as a sparkline over the red (below 0) and blue (above 0) halves of the belief range
+     * @param {number[]} trajectory - Beliefs in order; long trajectories are thinned to SPARKLINE_MAX_POINTS
+     */
+    drawSparkline(trajectory) {
+        const svg = this.inspectorSparkline;
+        svg.selectAll('*').remove();
+        
+        const x = d3.scaleLinear()
+            .domain([0, Math.max(1, trajectory.length - 1)])
+            .range([3, SPARKLINE_WIDTH - 3]);
+        const y = d3.scaleLinear()
+            .domain([-1, 1])
+            .range([SPARKLINE_HEIGHT - 2, 2]);
+        
+        svg.append('rect')
+            .attr('width', SPARKLINE_WIDTH)
+            .attr('height', y(0))
+            .attr('fill', '#00a6fb')
+            .attr('fill-opacity', 0.08);
+        svg.append('rect')
+            .attr('y', y(0))
+            .attr('width', SPARKLINE_WIDTH)
+            .attr('height', SPARKLINE_HEIGHT - y(0))
+            .attr('fill', '#ef476f')
+            .attr('fill-opacity', 0.08);
+        
+        // Keep every stride-th point and always the current belief
+        const stride = Math.ceil(trajectory.length / SPARKLINE_MAX_POINTS);
+        const points = [];
+        trajectory.forEach((beliefValue, i) => {
+            if (i % stride === 0 || i === trajectory.length - 1) {
+                points.push([i, beliefValue]);
+            }
+        });
+        
+        svg.append('path')
+            .datum(points)
+            .attr('fill', 'none')
+            .attr('stroke', '#555')
+            .attr('stroke-width', 1.2)
+            .attr('d', d3.line().x(p => x(p[0])).y(p => y(p[1])));
+        
+        const last = points[points.length - 1];
+        svg.append('circle')
+            .attr('cx', x(last[0]))
+            .attr('cy', y(last[1]))
+            .attr('r', 2.5)
+            .attr('fill', this.getAgentColor(last[1]).color);
+    }
+    
     /**
      * Set up the opinion plot
      */
@@ -406,7 +935,7 @@ class OpinionVisualizer {
             .attr('x', plotWidth / 2)
             .attr('y', plotHeight + 40)
             .attr('text-anchor', 'middle')
-            .text('Interactions');
+            .text(this.getTimeAxisLabel());
             
         this.opinionPlotGroup.append('text')
             .attr('class', 'y-axis-label')
@@ -418,12 +947,12 @@ class OpinionVisualizer {
             
         // Create line generators
         this.redLine = d3.line()
-            .x(d => this.xScale(d.interactionCount))
+            .x(d => this.xScale(this.getTimeValue(d)))
             .y(d => this.yScale(d.redProportion))
             .curve(d3.curveMonotoneX);
             
         this.blueLine = d3.line()
-            .x(d => this.xScale(d.interactionCount))
+            .x(d => this.xScale(this.getTimeValue(d)))
             .y(d => this.yScale(d.blueProportion))
             .curve(d3.curveMonotoneX);
             
@@ -478,6 +1007,33 @@ class OpinionVisualizer {
             .style('opacity', 0);
     }
     
+    /**
+     * Get the x-axis position of a history entry or statistics object
+     * @param {Object} entry - Object with interactionCount and timeStep fields
+     * @returns {number} Interactions, or time steps when the plot uses time steps
+     */
+    getTimeValue(entry) {
+        return this.timeAxis === 'timeSteps' ? entry.timeStep : entry.interactionCount;
+    }
+    
+    /**
+     * Get the opinion plot x-axis label
+     * @returns {string} Axis label
+     */
+    getTimeAxisLabel() {
+        return this.timeAxis === 'timeSteps' ? 'Time Steps' : 'Interactions';
+    }
+    
+    /**
+     * Switch the opinion plot between interactions and time steps on the x-axis
+     * @param {string} timeAxis - 'interactions' or 'timeSteps'
+     */
+    setTimeAxis(timeAxis) {
+        this.timeAxis = timeAxis;
+        this.opinionPlotGroup.select('.x-axis-label').text(this.getTimeAxisLabel());
+        this.updateOpinionPlot();
+    }
+    
     /**
      * Update the opinion plot with current data
      */
@@ -494,12 +1050,17 @@ class OpinionVisualizer {
         const currentInteractions = this.simulation.interactionCount;
         const maxInteractions = this.simulation.config.maxInteractions || 5000;
         
+        // Measure progress in the unit shown on the x-axis (one time step is about one interaction per agent)
+        const populationSize = this.simulation.agents.length || 1;
+        const currentTime = this.getTimeValue(this.simulation);
+        const maxTime = this.timeAxis === 'timeSteps' ? maxInteractions / populationSize : maxInteractions;
+        
         // Set x-axis to show either the current progress or the full range
-        // Always show at least up to 100 interactions
-        const xMax = Math.max(currentInteractions * 1.2, 100);
+        // Always show at least up to 100 interactions (or 10 time steps)
+        const xMax = Math.max(currentTime * 1.2, this.timeAxis === 'timeSteps' ? 10 : 100);
         
-        // Update the domain - ensure we don't exceed maxInteractions
-        const newDomain = [0, Math.min(xMax, maxInteractions)];
+        // Update the domain - ensure we don't exceed the maximum
+        const newDomain = [0, Math.min(xMax, maxTime)];
         console.log("Updating x-axis domain:", newDomain);
         this.xScale.domain(newDomain);
         
@@ -512,6 +1073,7 @@ class OpinionVisualizer {
         }
         
         // Update the x-axis with the new domain and tick count
+        this.xTickCount = tickCount;
         this.xAxis.call(d3.axisBottom(this.xScale).ticks(tickCount));
         
         // For line smoothing, update the line generators based on interaction count
@@ -550,6 +1112,105 @@ class OpinionVisualizer {
             this.opinionPlotGroup.selectAll('.x-axis, .y-axis, .x-axis-label, .y-axis-label, .legend')
                 .style('opacity', 1);
         }
+        
+        // The metric charts follow the opinion plot's x-axis
+        this.updateMetricsPanel();
+    }
+    
+    /**
+     * Choose the metrics shown in the metrics panel
+     * @param {string[]} metrics - Keys of METRIC_DEFINITIONS, drawn top to bottom
+     */
+    setMetrics(metrics) {
+        this.metrics = metrics.filter(key => METRIC_DEFINITIONS[key]);
+        // Redraw only while the panel shows a run; reset() leaves it empty until the next initialize()
+        if (this.simulation && this.metricCharts) {
+            this.setupMetricsPanel();
+            this.updateMetricsPanel();
+        }
+    }
+    
+    /**
+     * Create one small chart per selected metric in the metrics panel
+     * The charts use the opinion plot's width and margins, so their x-axes line up with it.
+     */
+    setupMetricsPanel() {
+        if (!this.metricsContainer || this.metricsContainer.empty()) return;
+        
+        this.metricsContainer.selectAll('*').remove();
+        const width = this.metricsContainer.node().clientWidth || this.opinionPlotWidth;
+        const plotWidth = width - this.margin.left - this.margin.right;
+        const plotHeight = METRIC_CHART_HEIGHT - METRIC_CHART_MARGIN.top - METRIC_CHART_MARGIN.bottom;
+        
+        const svg = this.metricsContainer.append('svg')
+            .attr('width', width)
+            .attr('height', this.metrics.length * METRIC_CHART_HEIGHT)
+            .style('background-color', '#fff');
+        
+        this.metricCharts = this.metrics.map((key, index) => {
+            const definition = METRIC_DEFINITIONS[key];
+            const group = svg.append('g')
+                .attr('class', 'metric-chart')
+                .attr('transform', `translate(${this.margin.left}, ${index * METRIC_CHART_HEIGHT + METRIC_CHART_MARGIN.top})`);
+            
+            const xScale = d3.scaleLinear().range([0, plotWidth]);
+            const yScale = d3.scaleLinear()
+                .domain(definition.domain || [0, 1])
+                .range([plotHeight, 0]);
+            
+            const xAxis = group.append('g')
+                .attr('class', 'x-axis')
+                .attr('transform', `translate(0, ${plotHeight})`);
+            const yAxis = group.append('g')
+                .attr('class', 'y-axis');
+            
+            // Metric name and latest value
+            const label = group.append('text')
+                .attr('class', 'metric-label')
+                .attr('x', 5)
+                .attr('y', -6)
+                .attr('fill', '#888')
+                .style('font-size', '12px')
+                .text(definition.label);
+            
+            const path = group.append('path')
+                .attr('class', 'metric-line')
+                .attr('fill', 'none')
+                .attr('stroke', '#555')
+                .attr('stroke-width', 1.5);
+            
+            return { key, definition, xScale, yScale, xAxis, yAxis, label, path };
+        });
+    }
+    
+    /**
+     * Redraw the metric charts from the history, on the opinion plot's x domain
+     */
+    updateMetricsPanel() {
+        if (!this.metricCharts || !this.simulation) return;
+        
+        const history = this.simulation.opinionHistory;
+        this.metricCharts.forEach(chart => {
+            // Network metrics are only recorded every few entries
+            const points = history.filter(entry => entry[chart.key] !== undefined);
+            const format = d3.format(chart.definition.format);
+            
+            chart.xScale.domain(this.xScale.domain());
+            if (!chart.definition.domain) {
+                chart.yScale.domain([0, Math.max(1, d3.max(points, d => d[chart.key]) || 0)]).nice();
+            }
+            
+            chart.xAxis.call(d3.axisBottom(chart.xScale).ticks(this.xTickCount || 10));
+            chart.yAxis.call(d3.axisLeft(chart.yScale).ticks(3).tickFormat(format));
+            
+            const line = d3.line()
+                .x(d => chart.xScale(this.getTimeValue(d)))
+                .y(d => chart.yScale(d[chart.key]));
+            chart.path.attr('d', line(points));
+            
+            const last = points[points.length - 1];
+            chart.label.text(last ? `${chart.definition.label}: ${format(last[chart.key])}` : chart.definition.label);
+        });
     }
     
     /**
@@ -593,34 +1254,73 @@ class OpinionVisualizer {
      */
     updateHistogram() {
         if (!this.simulation) return;
+        this.drawHistogram(this.simulation.agents, this.simulation.config.populationSize);
+    }
+    
+    /**
+     * Show the belief histogram of agents that are not simulated yet, e.g. a preview of the initial beliefs
+     * @param {Object[]} agents - Agents with beliefValue and isZealot
+     * @param {string} label - Caption shown over the histogram
+     */
+    showHistogramPreview(agents, label = 'Initial beliefs (preview)') {
+        this.histogramGroup.selectAll('*').remove();
+        this.setupHistogram();
+        this.drawHistogram(agents, agents.length);
         
+        this.histogramGroup.append('text')
+            .attr('class', 'preview-label')
+            .attr('x', 5)
+            .attr('y', 0)
+            .attr('fill', '#888')
+            .style('font-size', '12px')
+            .text(label);
+    }
+    
+    /**
+     * Draw the belief histogram of a set of agents
+     * @param {Object[]} agents - Agents with beliefValue, isZealot and (when a trait is displayed) traits
+     * @param {number} populationSize - Population size, which sets the rounding of the y-axis
+     */
+    drawHistogram(agents, populationSize) {
         const plotWidth = this.opinionPlotWidth - this.margin.left - this.margin.right;
         const plotHeight = this.plotHeight - this.margin.top - this.margin.bottom;
         
         // Separate agents by opinion and zealot status
-        const redNonZealots = this.simulation.agents.filter(a => a.beliefValue < 0 && !a.isZealot);
-        const redZealots = this.simulation.agents.filter(a => a.beliefValue < 0 && a.isZealot);
-        const blueNonZealots = this.simulation.agents.filter(a => a.beliefValue >= 0 && !a.isZealot);
-        const blueZealots = this.simulation.agents.filter(a => a.beliefValue >= 0 && a.isZealot);
+        const redNonZealots = agents.filter(a => a.beliefValue < 0 && !a.isZealot);
+        const redZealots = agents.filter(a => a.beliefValue < 0 && a.isZealot);
+        const blueNonZealots = agents.filter(a => a.beliefValue >= 0 && !a.isZealot);
+        const blueZealots = agents.filter(a => a.beliefValue >= 0 && a.isZealot);
 
         const binWidth = 0.1;  // Fixed bin width
-        const maxHeight = this.simulation.config.populationSize / 2;  // Fixed y-axis height
 
-        // Single histogram for all values
+        // Single histogram for all values; bins hold the agents so they can be shaded by a trait
         const histogram = d3.histogram()
+            .value(a => a.beliefValue)
             .domain([-1.3, 1.3])  // Match the x-axis scale
             .thresholds(d3.range(-1.3, 1.3 + binWidth, binWidth));
 
         // Generate histogram data
-        const redNonZealotBins = histogram(redNonZealots.map(a => a.beliefValue));
-        const redZealotBins = histogram(redZealots.map(a => a.beliefValue));
-        const blueNonZealotBins = histogram(blueNonZealots.map(a => a.beliefValue));
-        const blueZealotBins = histogram(blueZealots.map(a => a.beliefValue));
+        const redNonZealotBins = histogram(redNonZealots);
+        const redZealotBins = histogram(redZealots);
+        const blueNonZealotBins = histogram(blueNonZealots);
+        const blueZealotBins = histogram(blueZealots);
+        
+        // Non-zealot bars are shaded by the mean displayed trait of their agents (previewed agents have no traits yet)
+        const shadeTrait = this.traitDisplay && agents.length > 0 && agents[0][this.traitDisplay] !== undefined
+            ? this.traitDisplay
+            : null;
+        const getBarOpacity = bin => {
+            if (!shadeTrait || bin.length === 0) return 0.5;
+            const meanTrait = d3.mean(bin, a => traitsModule.normalizeTrait(shadeTrait, a[shadeTrait]));
+            return 0.15 + 0.75 * meanTrait;
+        };
+        this.histogramGroup.select('.x-axis-label')
+            .text(shadeTrait ? `Belief Value (shade: mean ${traitsModule.TRAITS[shadeTrait].label.toLowerCase()})` : 'Belief Value');
 
         // Set fixed y scale
         const allBins = [...redNonZealotBins, ...redZealotBins, ...blueNonZealotBins, ...blueZealotBins];
         const maxCount = d3.max(allBins, d => d.length);
-        const roundedMax = Math.ceil(maxCount / (this.simulation.config.populationSize/10)) * (this.simulation.config.populationSize/10);
+        const roundedMax = Math.ceil(maxCount / (populationSize/10)) * (populationSize/10);
         this.histYScale.domain([0, roundedMax]);
         this.histYAxis.call(d3.axisLeft(this.histYScale).ticks(5));
         
@@ -642,7 +1342,7 @@ class OpinionVisualizer {
                 .attr('width', d => Math.max(0, this.histXScale(d.x1) - this.histXScale(d.x0) - 1))
                 .attr('height', d => plotHeight - this.histYScale(d.length))
                 .attr('fill', color)
-                .attr('opacity', 0.5);
+                .attr('opacity', getBarOpacity);
         };
         
         // Update bars for zealots (with black border)
@@ -683,6 +1383,7 @@ class OpinionVisualizer {
      */
     initialize(simulation) {
         this.simulation = simulation;
+        this.inspectorSummaryAgentId = null;
         
         // Create agent data from simulation
         this.agentData = simulation.agents.map(agent => {
@@ -697,25 +1398,38 @@ class OpinionVisualizer {
                 opinion: agent.opinion,
                 isZealot: agent.isZealot,
                 neighbors: agent.neighbors,
+                traits: agent.getTraits(),
                 x: radius * Math.cos(angle),
                 y: radius * Math.sin(angle),
-                radius: 5, // Base radius
                 currentPairingId: agent.currentPairingId,
                 isInPairing: agent.isInPairing
             };
         });
         
-        // Create network edge data
-        this.edgeData = [];
-        this.agentData.forEach(agent => {
-            agent.neighbors.forEach(neighborId => {
-                this.edgeData.push({
-                    source: agent.id,
-                    target: neighborId
-                });
-            });
+        this.agentData.forEach(d => {
+            d.radius = this.getAgentRadius(d);
         });
         
+        // Create network edge data with one line per connected pair
+        this.isDirected = simulation.config.directed === true;
+        this.edgeData = this.buildEdgeData();
+        
+        // Arrowhead for one-way links in directed networks
+        if (this.isDirected && this.agentPoolSvg.select('#edge-arrow').empty()) {
+            this.agentPoolSvg.append('defs')
+                .append('marker')
+                .attr('id', 'edge-arrow')
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 15)  // Stop the tip at the edge of the target circle
+                .attr('refY', 0)
+                .attr('markerWidth', 6)
+                .attr('markerHeight', 6)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M0,-5L10,0L0,5')
+                .attr('fill', '#bbb');
+        }
+        
         // Clear any existing elements to ensure proper layering
         this.networkEdgesGroup = this.agentPoolGroup.select('.network-edges');
         if (this.networkEdgesGroup.empty()) {
@@ -726,16 +1440,6 @@ class OpinionVisualizer {
             this.networkEdgesGroup.selectAll('*').remove();
         }
         
-        // Create network edges with lighter appearance
-        this.networkEdgesGroup.selectAll('.network-edge')
-            .data(this.edgeData)
-            .enter()
-            .append('line')
-            .attr('class', 'network-edge')
-            .attr('stroke', '#ccc')  // Much lighter color
-            .attr('stroke-width', 1)  // Thinner
-            .attr('stroke-opacity', 0.6);  // More transparent
-        
         // Remove any existing agent circles
         this.agentPoolGroup.selectAll('.agent').remove();
         
@@ -751,12 +1455,17 @@ class OpinionVisualizer {
             .attr('stroke', d => d.isZealot ? '#000' : 'none')
             .attr('stroke-width', d => d.isZealot ? 2 : 0)
             .attr('cx', d => d.x)
-            .attr('cy', d => d.y);
+            .attr('cy', d => d.y)
+            .style('cursor', 'pointer')
+            .on('mouseenter', (event, d) => this.hoverAgent(d.id))
+            .on('mouseleave', () => this.hoverAgent(null))
+            .call(this.createAgentDrag());
         
         // Update the force simulation with new data
-        this.forceSimulation
-            .nodes(this.agentData)
-            .force('link').links(this.edgeData);
+        this.forceSimulation.nodes(this.agentData);
+        this.drawNetworkEdges();
+        this.hoveredAgentId = null;
+        this.selectAgent(null);
             
         this.forceSimulation
             .alpha(1)
@@ -766,9 +1475,10 @@ class OpinionVisualizer {
         this.opinionPlotGroup.selectAll('*').remove();
         this.histogramGroup.selectAll('*').remove();
         
-        // Setup both plots
+        // Setup both plots and the metrics panel
         this.setupOpinionPlot();
         this.setupHistogram();
+        this.setupMetricsPanel();
         
         // Initial updates
         this.updateOpinionPlot();
@@ -811,6 +1521,9 @@ class OpinionVisualizer {
         // Update the histogram
         this.updateHistogram();
         
+        // Update the inspector
+        this.updateInspector();
+        
         // Update the force simulation
         this.forceSimulation.alpha(0.3).restart();
     }
@@ -853,6 +1566,16 @@ class OpinionVisualizer {
         // Remove final state annotation
         this.opinionPlotGroup.selectAll('.final-state').remove();
         
+        // Clear the metrics panel
+        if (this.metricsContainer) {
+            this.metricsContainer.selectAll('*').remove();
+        }
+        this.metricCharts = null;
+        
+        // Close the inspector
+        this.hoveredAgentId = null;
+        this.selectAgent(null);
+        
         // Reset simulation reference
         this.simulation = null;
         this.agentData = [];
@@ -861,5 +1584,6 @@ class OpinionVisualizer {
 
 // Create a global visualizationModule object
 window.visualizationModule = {
-    OpinionVisualizer
+    OpinionVisualizer,
+    METRIC_DEFINITIONS
 }; 
\ No newline at end of file
@@ -0,0 +1,382 @@
+/**
+ * worker-simulation.js
+ *
+ * This module provides WorkerSimulation, a stand-in for OpinionDynamicsSimulation that runs
+ * the model in a Web Worker (js/simulation-worker.js). It keeps a mirror of the agents and
+ * statistics on the main thread, so OpinionVisualizer can draw it exactly like a local
+ * simulation, while each advance() runs a whole batch of ticks off the main thread.
+ * The mirror agents record no interaction history; summarizeInteractions() fetches an
+ * agent's summary from the worker instead.
+ */
+
+/**
+ * WorkerSimulation class mirroring the OpinionDynamicsSimulation interface
+ */
+class WorkerSimulation {
+    /**
+     * Create a new worker-backed simulation
+     * @param {Object} config - Simulation configuration, as for OpinionDynamicsSimulation
+     * @param {Object} options - Worker options
+     * @param {number} options.batchSize - Scheduler ticks run by the worker per advance() (default 10)
+     * @param {string} options.workerUrl - URL of the worker script (default 'js/simulation-worker.js')
+     */
+    constructor(config, options = {}) {
+        this.config = config;
+        this.batchSize = options.batchSize || 10;
+        this.workerUrl = options.workerUrl || 'js/simulation-worker.js';
+        this.worker = null;
+        this.isInitialized = false;
+        this.pendingRunToCompletion = null;
+
+        // Requests awaiting their reply (serialize, agent summaries), by request ID
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+
+        // Mirror of the simulation state, refreshed from every worker snapshot
+        this.agents = [];
+        this.agentMap = new Map();
+        this.statistics = null;
+        this.interactionCount = 0;
+        this.timeStep = 0;
+        this.scheduler = null;
+        this.opinionCounts = { red: 0, blue: 0 };
+        this.history = new historyModule.OpinionHistory();
+        this.opinionHistory = this.history.entries;
+        this.currentPairing = null;
+        this.isComplete = false;
+        this.completionReason = null;
+        this.seed = null;
+
+        // Event callbacks
+        this.onInteractionComplete = null;
+        this.onSimulationComplete = null;
+        this.onProgressUpdate = null;
+        this.onError = null;
+    }
+
+    /**
+     * Start the worker and initialize the simulation in it
+     * @returns {Promise<WorkerSimulation>} Resolves once the initial state has arrived; rejects if the worker cannot start
+     */
+    initialize() {
+        return this.startWorker({ type: 'initialize', config: this.config });
+    }
+
+    /**
+     * Start the worker and restore a saved simulation in it
+     * @param {string|Object} snapshot - JSON document from serialize(), or the parsed object
+     * @returns {Promise<WorkerSimulation>} Resolves once the restored state has arrived; rejects if the worker cannot start or the snapshot is invalid
+     */
+    restore(snapshot) {
+        return this.startWorker({ type: 'restore', snapshot });
+    }
+
+    /**
+     * Start a fresh worker and send it the message that creates its simulation
+     * @param {Object} message - 'initialize' or 'restore' message
+     * @returns {Promise<WorkerSimulation>} Resolves once the worker reports the initial state
+     */
+    startWorker(message) {
+        this.terminate();
+        this.isInitialized = false;
+
+        return new Promise((resolve, reject) => {
+            try {
+                this.worker = new Worker(this.workerUrl);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+
+            this.worker.onmessage = event => this.handleMessage(event.data, resolve, reject);
+            this.worker.onerror = event => {
+                if (!this.isInitialized) {
+                    reject(new Error(event.message || 'Simulation worker failed to start'));
+                } else {
+                    this.handleError({ message: `Simulation worker error: ${event.message}` });
+                }
+            };
+
+            this.worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - Message posted by simulation-worker.js
+     * @param {function} resolveInitialize - Resolves the pending initialize() or restore() promise
+     * @param {function} rejectInitialize - Rejects the pending initialize() or restore() promise
+     */
+    handleMessage(message, resolveInitialize, rejectInitialize) {
+        switch (message.type) {
+            case 'initialized':
+                this.config = message.config;
+                this.agents = message.agents.map(saved => {
+                    const agent = new agentModule.Agent(saved.beliefValue, saved.isZealot, saved.id, saved.neighbors);
+                    agent.setTraits(saved.traits);
+                    return agent;
+                });
+                this.agentMap = new Map(this.agents.map(agent => [agent.id, agent]));
+                this.history = new historyModule.OpinionHistory({ budget: message.history.budget });
+                this.history.load(message.history.entries, message.history.layout);
+                this.applyState(message.state);
+                this.isInitialized = true;
+                resolveInitialize(this);
+                break;
+
+            case 'state':
+                this.handleState(message.state);
+                break;
+
+            case 'edited':
+                // Edits refresh the mirror without counting as a batch
+                this.applyState(message.state);
+                break;
+
+            case 'snapshot':
+                this.resolveRequest(message.requestId, message.snapshot);
+                break;
+
+            case 'agent-summary':
+                this.resolveRequest(message.requestId, message.summary);
+                break;
+
+            case 'error':
+                if (!this.isInitialized) {
+                    rejectInitialize(new Error(message.message));
+                } else {
+                    this.handleError(message);
+                }
+                break;
+
+            default:
+                console.error(`Unknown message from simulation worker "${message.type}"`);
+        }
+    }
+
+    /**
+     * Resolve a pending request with the worker's reply
+     * @param {number} requestId - ID the request was sent with
+     * @param {*} result - Value to resolve the request's promise with
+     */
+    resolveRequest(requestId, result) {
+        const pending = this.pendingRequests.get(requestId);
+        if (pending) {
+            this.pendingRequests.delete(requestId);
+            pending.resolve(result);
+        }
+    }
+
+    /**
+     * Report a message the worker failed to handle to whoever is waiting for its result
+     * A failed request (serialize(), summarizeInteractions()) or runToCompletion() rejects its
+     * promise; any other failure (e.g. of a batch) goes to onError, or to the console if it is not set.
+     * @param {Object} message - Error message with the type and request ID of the failed message
+     */
+    handleError(message) {
+        const error = new Error(message.message);
+
+        if (this.pendingRequests.has(message.requestId)) {
+            this.pendingRequests.get(message.requestId).reject(error);
+            this.pendingRequests.delete(message.requestId);
+        } else if (message.requestType === 'run-to-completion' && this.pendingRunToCompletion) {
+            this.pendingRunToCompletion.reject(error);
+            this.pendingRunToCompletion = null;
+        } else if (this.onError) {
+            this.onError(error);
+        } else {
+            console.error(message.message);
+        }
+    }
+
+    /**
+     * Copy a worker snapshot into the mirror
+     * @param {Object} state - Statistics, newly recorded history entries and agent beliefs from the worker
+     */
+    applyState(state) {
+        const statistics = state.statistics;
+
+        // Pushing the new entries downsamples the mirrored history exactly as the worker's
+        state.historyAppended.forEach(entry => this.history.push(entry));
+        statistics.opinionHistory = this.history.entries;
+
+        state.beliefs.forEach((beliefValue, index) => {
+            const agent = this.agents[index];
+            agent.beliefValue = beliefValue;
+            agent.isInPairing = false;
+            agent.currentPairingId = null;
+        });
+
+        // Mark the last pair the worker ran
+        const pairing = statistics.currentPairing;
+        if (pairing && this.agents[pairing.agent1Index] && this.agents[pairing.agent2Index]) {
+            const agent1 = this.agents[pairing.agent1Index];
+            const agent2 = this.agents[pairing.agent2Index];
+            agent1.isInPairing = true;
+            agent1.currentPairingId = agent2.id;
+            agent2.isInPairing = true;
+            agent2.currentPairingId = agent1.id;
+        }
+
+        this.statistics = statistics;
+        this.interactionCount = statistics.interactionCount;
+        this.timeStep = statistics.timeStep;
+        this.scheduler = statistics.scheduler;
+        this.opinionCounts = statistics.opinionCounts;
+        this.opinionHistory = this.history.entries;
+        this.currentPairing = statistics.currentPairing;
+        this.isComplete = statistics.isComplete;
+        this.completionReason = statistics.completionReason;
+        this.seed = statistics.seed;
+    }
+
+    /**
+     * Apply a batch snapshot and trigger the event callbacks
+     * @param {Object} state - Statistics and agent beliefs from the worker
+     */
+    handleState(state) {
+        const interactionsBefore = this.interactionCount;
+        this.applyState(state);
+
+        if (this.onInteractionComplete) {
+            this.onInteractionComplete({
+                interactionCount: this.interactionCount,
+                timeStep: this.timeStep,
+                interactions: this.interactionCount - interactionsBefore,
+                opinionCounts: this.opinionCounts,
+                currentPairing: this.currentPairing,
+                isComplete: this.isComplete,
+                completionReason: this.completionReason
+            });
+        }
+
+        // Progress updates keep their every-50-interactions rhythm
+        if (this.onProgressUpdate && Math.floor(this.interactionCount / 50) > Math.floor(interactionsBefore / 50)) {
+            this.onProgressUpdate(this.getStatistics());
+        }
+
+        if (this.isComplete && this.onSimulationComplete) {
+            this.onSimulationComplete({
+                interactionCount: this.interactionCount,
+                timeStep: this.timeStep,
+                opinionCounts: this.opinionCounts,
+                opinionHistory: this.opinionHistory,
+                completionReason: this.completionReason,
+                dominantOpinion: this.statistics.dominantOpinion
+            });
+        }
+
+        if (this.pendingRunToCompletion) {
+            this.pendingRunToCompletion.resolve(this.getStatistics());
+            this.pendingRunToCompletion = null;
+        }
+    }
+
+    /**
+     * Ask the worker to run one batch of ticks; the result arrives through the callbacks
+     */
+    advance() {
+        this.step(this.batchSize);
+    }
+
+    /**
+     * Ask the worker to run a number of scheduler ticks; the result arrives through the callbacks
+     * @param {number} n - Number of ticks to run
+     */
+    step(n = 1) {
+        if (!this.worker || this.isComplete) return;
+        this.worker.postMessage({ type: 'advance', ticks: n });
+    }
+
+    /**
+     * Run the simulation in the worker until a completion condition is met
+     * @returns {Promise<Object>} Resolves with the final statistics; rejects if the worker fails
+     */
+    runToCompletion() {
+        return new Promise((resolve, reject) => {
+            this.pendingRunToCompletion = { resolve, reject };
+            this.worker.postMessage({ type: 'run-to-completion' });
+        });
+    }
+
+    /**
+     * Serialize the full simulation state in the worker
+     * Several calls may be pending at once; each resolves with its own snapshot.
+     * @returns {Promise<string>} Resolves with the JSON snapshot; rejects if the worker fails or is stopped
+     */
+    serialize() {
+        return this.request({ type: 'serialize' });
+    }
+
+    /**
+     * Summarize an agent's recorded interactions in the worker, as Agent.summarizeInteractions() does
+     * @param {number} agentId - ID of the agent
+     * @returns {Promise<Object>} Resolves with { trajectory, flipsToRed, flipsToBlue, partners }; rejects if the worker fails or is stopped
+     */
+    summarizeInteractions(agentId) {
+        return this.request({ type: 'summarize-agent', agentId });
+    }
+
+    /**
+     * Send a message that the worker answers with a reply carrying the same request ID
+     * @param {Object} message - Message to send; a request ID is added
+     * @returns {Promise<*>} Resolves with the reply's result; rejects if the worker fails or is stopped
+     */
+    request(message) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Simulation worker is not running'));
+                return;
+            }
+            const requestId = this.nextRequestId++;
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ ...message, requestId });
+        });
+    }
+
+    /**
+     * Apply an interactive edit to the mirror at once and to the worker's simulation; the
+     * worker's counts and metrics arrive with its next message
+     * @param {Object} edit - Edit as described for applyAgentEdit() in simulation.js
+     * @returns {boolean} True if the mirror changed
+     */
+    applyEdit(edit) {
+        if (!this.worker) return false;
+        if (!simulationModule.applyAgentEdit(this.agents, this.agentMap, edit, this.config.directed === true)) {
+            return false;
+        }
+        this.worker.postMessage({ type: 'edit', edit });
+        return true;
+    }
+
+    /**
+     * Get the statistics of the latest worker snapshot
+     * @returns {Object} Current statistics
+     */
+    getStatistics() {
+        return this.statistics;
+    }
+
+    /**
+     * Stop the worker; the mirror keeps its last state and pending requests are rejected
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        const error = new Error('Simulation worker was stopped');
+        this.pendingRequests.forEach(pending => pending.reject(error));
+        this.pendingRequests.clear();
+        if (this.pendingRunToCompletion) {
+            this.pendingRunToCompletion.reject(error);
+            this.pendingRunToCompletion = null;
+        }
+    }
+}
+
+// Create a global workerSimulationModule object
+window.workerSimulationModule = {
+    WorkerSimulation
+};
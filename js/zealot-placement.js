@@ -0,0 +1,256 @@
+/**
+ * zealot-placement.js
+ *
+ * This module decides where each group's zealots sit in the network. The number of
+ * zealots per group is set by the zealot fractions; a placement strategy only chooses
+ * which members of the group they are. Network positions ignore link direction.
+ */
+
+// Networks up to this size get exact betweenness; larger ones estimate it from sampled sources
+const BETWEENNESS_EXACT_LIMIT = 2000;
+const BETWEENNESS_SAMPLES = 256;
+
+/**
+ * Build undirected adjacency lists by agent index, merging the two directions of a link
+ * @param {Agent[]} agents - Simulation agents
+ * @param {Map} agentIndex - Agent ID -> index in agents
+ * @returns {number[][]} Neighbor indexes of every agent
+ */
+function getUndirectedAdjacency(agents, agentIndex) {
+    const adjacency = agents.map(() => new Set());
+    agents.forEach((agent, i) => {
+        agent.neighbors.forEach(neighborId => {
+            const j = agentIndex.get(neighborId);
+            if (j === undefined || j === i) return;
+            adjacency[i].add(j);
+            adjacency[j].add(i);
+        });
+    });
+    return adjacency.map(neighbors => Array.from(neighbors));
+}
+
+/**
+ * Estimate betweenness centrality with Brandes' algorithm, from every agent in small
+ * networks and from BETWEENNESS_SAMPLES random sources in large ones
+ * @param {number[][]} adjacency - Result of getUndirectedAdjacency()
+ * @param {function(): number} random - Uniform random number source in [0, 1)
+ * @returns {Float64Array} Betweenness of every agent, up to a common factor
+ */
+function getBetweenness(adjacency, random) {
+    const n = adjacency.length;
+    const betweenness = new Float64Array(n);
+
+    let sources = Array.from({ length: n }, (_, i) => i);
+    if (n > BETWEENNESS_EXACT_LIMIT) {
+        sources = Array.from({ length: BETWEENNESS_SAMPLES }, () => Math.floor(random() * n));
+    }
+
+    const distance = new Int32Array(n);
+    const paths = new Float64Array(n);
+    const dependency = new Float64Array(n);
+    const order = new Int32Array(n);
+    sources.forEach(source => {
+        distance.fill(-1);
+        paths.fill(0);
+        dependency.fill(0);
+        distance[source] = 0;
+        paths[source] = 1;
+
+        // Breadth-first search counting shortest paths; order doubles as the queue
+        let head = 0;
+        let tail = 0;
+        order[tail++] = source;
+        while (head < tail) {
+            const v = order[head++];
+            adjacency[v].forEach(w => {
+                if (distance[w] < 0) {
+                    distance[w] = distance[v] + 1;
+                    order[tail++] = w;
+                }
+                if (distance[w] === distance[v] + 1) {
+                    paths[w] += paths[v];
+                }
+            });
+        }
+
+        // Accumulate dependencies from the farthest agents back
+        for (let k = tail - 1; k > 0; k--) {
+            const w = order[k];
+            adjacency[w].forEach(v => {
+                if (distance[v] === distance[w] - 1) {
+                    dependency[v] += paths[v] / paths[w] * (1 + dependency[w]);
+                }
+            });
+            betweenness[w] += dependency[w];
+        }
+    });
+    return betweenness;
+}
+
+/**
+ * Get a network measure from the context, computing it on first use
+ * @param {Object} context - Placement context shared by both groups
+ * @param {string} name - 'adjacency' or 'betweenness'
+ * @returns {*} The measure
+ */
+function getPlacementMeasure(context, name) {
+    if (!context.cache[name]) {
+        context.cache[name] = name === 'adjacency'
+            ? getUndirectedAdjacency(context.agents, context.agentIndex)
+            : getBetweenness(getPlacementMeasure(context, 'adjacency'), context.random);
+    }
+    return context.cache[name];
+}
+
+/**
+ * Pick the candidates with the highest (or lowest) score; ties keep the candidates' order
+ * @param {number[]} candidates - Agent indexes
+ * @param {number} count - Number to pick
+ * @param {function(number): number} score - Score of an agent index
+ * @param {boolean} lowest - Pick the lowest scores instead
+ * @returns {number[]} Picked agent indexes
+ */
+function pickByScore(candidates, count, score, lowest = false) {
+    const sign = lowest ? 1 : -1;
+    return candidates
+        .map((index, position) => ({ index, position, score: sign * score(index) }))
+        .sort((a, b) => a.score - b.score || a.position - b.position)
+        .slice(0, count)
+        .map(candidate => candidate.index);
+}
+
+/**
+ * Pick group members in breadth-first order from a random member, so they sit close together
+ * Agents of the other group are passed through but not picked; if the seed's component runs
+ * out of members, the search restarts from another random unpicked member.
+ */
+function pickCommunity(candidates, count, context) {
+    const adjacency = getPlacementMeasure(context, 'adjacency');
+    const isCandidate = new Set(candidates);
+    const visited = new Set();
+    const picked = [];
+
+    while (picked.length < count) {
+        const remaining = candidates.filter(index => !visited.has(index));
+        const seed = remaining[Math.floor(context.random() * remaining.length)];
+        const queue = [seed];
+        visited.add(seed);
+        for (let head = 0; head < queue.length && picked.length < count; head++) {
+            const v = queue[head];
+            if (isCandidate.has(v)) picked.push(v);
+            adjacency[v].forEach(w => {
+                if (!visited.has(w)) {
+                    visited.add(w);
+                    queue.push(w);
+                }
+            });
+        }
+    }
+    return picked;
+}
+
+// Registry of zealot placement strategies; candidates are a group's agent indexes, most extreme belief first
+const ZEALOT_PLACEMENTS = {
+    'extreme': {
+        name: 'Most extreme beliefs (default)',
+        select: (candidates, count) => candidates.slice(0, count)
+    },
+    'random': {
+        name: 'Random members',
+        select: (candidates, count, context) => {
+            // Partial Fisher-Yates shuffle of a copy
+            const pool = candidates.slice();
+            for (let i = 0; i < count; i++) {
+                const j = i + Math.floor(context.random() * (pool.length - i));
+                [pool[i], pool[j]] = [pool[j], pool[i]];
+            }
+            return pool.slice(0, count);
+        }
+    },
+    'hubs': {
+        name: 'Highest-degree hubs',
+        select: (candidates, count, context) => {
+            const adjacency = getPlacementMeasure(context, 'adjacency');
+            return pickByScore(candidates, count, index => adjacency[index].length);
+        }
+    },
+    'periphery': {
+        name: 'Lowest-degree periphery',
+        select: (candidates, count, context) => {
+            const adjacency = getPlacementMeasure(context, 'adjacency');
+            return pickByScore(candidates, count, index => adjacency[index].length, true);
+        }
+    },
+    'betweenness': {
+        name: 'Highest betweenness (bridges)',
+        select: (candidates, count, context) => {
+            const betweenness = getPlacementMeasure(context, 'betweenness');
+            return pickByScore(candidates, count, index => betweenness[index]);
+        }
+    },
+    'community': {
+        name: 'Clustered in one community',
+        select: pickCommunity
+    }
+};
+
+const DEFAULT_ZEALOT_PLACEMENT = 'extreme';
+
+/**
+ * Resolve a placement strategy by name
+ * @param {string} placement - Key of ZEALOT_PLACEMENTS
+ * @returns {string} The placement, or the default if it is unknown
+ */
+function resolveZealotPlacement(placement = DEFAULT_ZEALOT_PLACEMENT) {
+    if (!ZEALOT_PLACEMENTS[placement]) {
+        console.error(`Unknown zealot placement "${placement}", using ${DEFAULT_ZEALOT_PLACEMENT}`);
+        return DEFAULT_ZEALOT_PLACEMENT;
+    }
+    return placement;
+}
+
+/**
+ * Move each group's zealots to the positions chosen by a placement strategy, keeping their number
+ * Agents must be in their initial order (most extreme first within each group).
+ * @param {Agent[]} agents - Simulation agents; isZealot is updated in place
+ * @param {Map} agentIndex - Agent ID -> index in agents
+ * @param {string[]} groups - Initial group of every agent, by index ('red' or 'blue')
+ * @param {string} placement - Key of ZEALOT_PLACEMENTS
+ * @param {function(): number} random - Uniform random number source in [0, 1)
+ */
+function placeZealots(agents, agentIndex, groups, placement, random) {
+    const strategy = ZEALOT_PLACEMENTS[resolveZealotPlacement(placement)];
+    const context = { agents, agentIndex, random, cache: {} };
+
+    const members = { red: [], blue: [] };
+    groups.forEach((group, index) => {
+        members[group].push(index);
+    });
+
+    Object.values(members).forEach(candidates => {
+        const count = candidates.filter(index => agents[index].isZealot).length;
+        if (count === 0) return;
+
+        const chosen = new Set(strategy.select(candidates, count, context));
+        candidates.forEach(index => {
+            agents[index].isZealot = chosen.has(index);
+        });
+    });
+}
+
+// Export for Node (CommonJS) or create a global zealotPlacementModule object in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ZEALOT_PLACEMENTS,
+        DEFAULT_ZEALOT_PLACEMENT,
+        resolveZealotPlacement,
+        placeZealots
+    };
+} else {
+    globalThis.zealotPlacementModule = {
+        ZEALOT_PLACEMENTS,
+        DEFAULT_ZEALOT_PLACEMENT,
+        resolveZealotPlacement,
+        placeZealots
+    };
+}
@@ -0,0 +1,44 @@
+/**
+ * smoke.js
+ *
+ * Smoke test of the Node simulation core: loads js/simulation.js without a browser, runs a
+ * small seeded simulation to completion and checks that a snapshot of it restores.
+ * Run with `npm test` (or `node test/smoke.js`); it exits non-zero on failure.
+ */
+
+const assert = require('assert');
+const { OpinionDynamicsSimulation } = require('../js/simulation.js');
+
+const config = {
+    populationSize: 100,
+    redProportion: 0.5,
+    redZealotFraction: 0.05,
+    blueZealotFraction: 0.05,
+    homophily: 0.7,
+    maxInteractions: 5000,
+    seed: 42,
+    verbose: false
+};
+
+const simulation = new OpinionDynamicsSimulation(config);
+simulation.initialize();
+const results = simulation.runToCompletion();
+
+assert.strictEqual(simulation.isComplete, true, 'the run completes');
+assert.ok(results.completionReason, 'the run reports why it ended');
+assert.ok(results.interactionCount > 0 && results.interactionCount <= config.maxInteractions, 'the run stays within maxInteractions');
+assert.strictEqual(results.opinionCounts.red + results.opinionCounts.blue, config.populationSize, 'every agent holds an opinion');
+assert.ok(simulation.agents.every(agent => agent.beliefValue >= -1 && agent.beliefValue <= 1), 'beliefs stay in [-1, 1]');
+
+// A seeded run replays exactly, and a snapshot restores the same state
+const replay = new OpinionDynamicsSimulation(config);
+replay.initialize();
+assert.deepStrictEqual(replay.runToCompletion().opinionCounts, results.opinionCounts, 'a seed replays the run');
+
+const restored = OpinionDynamicsSimulation.deserialize(simulation.serialize());
+assert.ok(restored, 'the snapshot restores');
+assert.deepStrictEqual(restored.agents.map(agent => agent.beliefValue), simulation.agents.map(agent => agent.beliefValue),
+    'the restored agents hold the saved beliefs');
+
+console.log(`Smoke test passed: ${results.interactionCount} interactions, ${results.completionReason}, ` +
+    `${results.opinionCounts.red} red and ${results.opinionCounts.blue} blue`);